@@ -0,0 +1,178 @@
+import { createDefaultLayers, groupByLayer } from '../shared/layers.js';
+import { DEFAULT_PAGE_ID, createDefaultPages, getLayerPageId, getPageId } from '../shared/pages.js';
+import { BoardDocument, isCommentType, isOperationType } from '../shared/crdt.js';
+
+function createClientId() {
+  return Math.random().toString(36).slice(2, 10) || 'client';
+}
+
+function getInsertPosition(items, id, index) {
+  const others = items.filter(item => item.id !== id);
+  const below = others[index - 1];
+  const above = others[index];
+  if (!above) return below ? below.position + 1 : 0;
+  if (!below) return above.position - 1;
+  return (below.position + above.position) / 2;
+}
+
+export class BoardState {
+  constructor() {
+    this.clientId = createClientId();
+    this.document = new BoardDocument();
+    this.operations = [];
+    this.hiddenIds = new Set();
+    this.pageId = DEFAULT_PAGE_ID;
+    this.pages = createDefaultPages();
+    this.layers = createDefaultLayers();
+    this.threads = [];
+  }
+
+  loadSnapshot({ document }) {
+    this.document = BoardDocument.fromJSON(document);
+    this.refresh();
+  }
+
+  getLiveObjects(type) {
+    return this.document.getObjects(objectType => objectType === type)
+      .filter(object => !this.document.isDeleted(object.id))
+      .sort((a, b) => a.position - b.position);
+  }
+
+  refresh() {
+    const pages = this.getLiveObjects('page');
+    this.pages = pages.length > 0 ? pages : createDefaultPages();
+    if (!this.getPage(this.pageId)) {
+      this.pageId = this.pages[0].id;
+    }
+
+    this.operations = this.getPageOperations(this.pageId, true);
+    this.hiddenIds = new Set(this.operations.filter(op => this.document.isDeleted(op.id)).map(op => op.id));
+
+    this.layers = this.getPageLayers(this.pageId);
+    this.threads = this.getThreads();
+  }
+
+  getThreads() {
+    const isLive = object => !this.document.isDeleted(object.id);
+    const byTime = (a, b) => a.timestamp - b.timestamp;
+    const comments = this.document.getObjects(type => type === 'comment').filter(isLive).sort(byTime);
+
+    return this.document.getObjects(type => type === 'thread').filter(isLive).sort(byTime).map(thread => ({
+      ...thread,
+      pageId: getPageId(this.document, thread.id),
+      comments: comments.filter(comment => comment.threadId === thread.id)
+    }));
+  }
+
+  setPage(pageId) {
+    if (!this.getPage(pageId)) return false;
+
+    this.pageId = pageId;
+    this.refresh();
+    return true;
+  }
+
+  getPage(id) {
+    return this.pages.find(page => page.id === id) || null;
+  }
+
+  getPageLayers(pageId) {
+    const layers = this.getLiveObjects('layer').filter(layer => getLayerPageId(layer) === pageId);
+    return layers.length > 0 ? layers : createDefaultLayers();
+  }
+
+  getPageOperations(pageId, includeHidden = false) {
+    return this.document.getObjects(isOperationType)
+      .filter(op => (includeHidden || !this.document.isDeleted(op.id)) && getPageId(this.document, op.id) === pageId);
+  }
+
+  applyUpdates(updates) {
+    let needsRedraw = false;
+    let layersChanged = false;
+    let pagesChanged = false;
+    let threadsChanged = false;
+    const added = [];
+    const updated = [];
+    const changedPageIds = new Set();
+
+    updates.forEach(update => {
+      const { id, created, changes, previous } = this.document.applyUpdate(update);
+      if (Object.keys(changes).length === 0) return;
+
+      const type = this.document.getType(id);
+      if (type === 'layer' || isOperationType(type)) {
+        changedPageIds.add(getPageId(this.document, id));
+        if (!created && previous.layerId !== undefined) {
+          changedPageIds.add(getLayerPageId(previous.layerId ? this.document.get(previous.layerId) : null));
+        }
+      }
+
+      if (type === 'page') {
+        pagesChanged = true;
+        threadsChanged = true;
+      } else if (isCommentType(type)) {
+        threadsChanged = true;
+      } else if (type === 'layer') {
+        layersChanged = true;
+        needsRedraw = true;
+      } else if (created) {
+        added.push(id);
+      } else {
+        updated.push(id);
+        needsRedraw = true;
+      }
+    });
+
+    const pageId = this.pageId;
+    this.refresh();
+    if (this.pageId !== pageId) {
+      layersChanged = true;
+      needsRedraw = true;
+    }
+
+    return {
+      needsRedraw,
+      layersChanged,
+      pagesChanged,
+      threadsChanged,
+      added: added.map(id => this.document.get(id))
+        .filter(op => !this.hiddenIds.has(op.id) && getPageId(this.document, op.id) === this.pageId),
+      updated,
+      changedPageIds
+    };
+  }
+
+  createId() {
+    return `${this.clientId}-${this.document.tick(this.clientId)[0]}`;
+  }
+
+  createObject(fields, id = this.createId()) {
+    return { id, clock: this.document.tick(this.clientId), fields: { ...fields, deleted: false } };
+  }
+
+  updateObject(id, fields) {
+    return { id, clock: this.document.tick(this.clientId), fields };
+  }
+
+  getVisibleOperations() {
+    return this.operations.filter(op => !this.hiddenIds.has(op.id));
+  }
+
+  getLayer(id) {
+    return this.layers.find(layer => layer.id === id) || null;
+  }
+
+  getLayerPosition(id, index) {
+    return getInsertPosition(this.layers, id, index);
+  }
+
+  getPagePosition(id, index) {
+    return getInsertPosition(this.pages, id, index);
+  }
+
+  getEditableOperations() {
+    return groupByLayer(this.getVisibleOperations(), this.layers)
+      .filter(group => group.layer.visible && !group.layer.locked)
+      .flatMap(group => group.operations);
+  }
+}
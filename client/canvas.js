@@ -1,14 +1,40 @@
+import { IDENTITY, TEXT_LINE_HEIGHT, getBounds, getLocalBounds, hasPressure, hitTest, multiply, segmentWidth, unionBounds } from '../shared/geometry.js';
+import { NOTE_PADDING, getNoteTextColor } from '../shared/notes.js';
+import { getSmoothSegment, getSmoothSegments } from '../shared/smoothing.js';
+import { DEFAULT_LAYER_ID, createDefaultLayers, resolveLayerId } from '../shared/layers.js';
+
+export const SHAPE_TOOLS = ['line', 'rect', 'ellipse', 'arrow'];
+export const MIN_ZOOM = 0.1;
+export const MAX_ZOOM = 8;
+
 export class CanvasDrawing {
-  constructor(canvas) {
+  constructor(canvas, previewCanvas) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d', { willReadFrequently: false });
+    this.previewCanvas = previewCanvas;
+    this.previewCtx = previewCanvas.getContext('2d');
     this.isDrawing = false;
-    this.lastX = 0;
-    this.lastY = 0;
     this.tool = 'brush';
     this.color = '#000000';
     this.lineWidth = 3;
+    this.fill = false;
     this.currentPath = [];
+    this.currentShape = null;
+    this.pendingLocalShapes = [];
+    this.pendingLocalTexts = [];
+    this.localEditTargetId = null;
+    this.remotePreviews = new Map();
+    this.selectionView = null;
+    this.measureText = (text, fontSize) => {
+      this.ctx.font = `${fontSize}px sans-serif`;
+      return this.ctx.measureText(text).width;
+    };
+    this.remoteStrokes = new Map();
+    this.pendingLocalPaths = [];
+    this.viewport = { offsetX: 0, offsetY: 0, scale: 1 };
+    this.layers = createDefaultLayers();
+    this.layerId = DEFAULT_LAYER_ID;
+    this.layerCanvases = new Map();
 
     this.setupCanvas();
     this.setupContextDefaults();
@@ -16,72 +42,512 @@ export class CanvasDrawing {
 
   setupCanvas() {
     const container = this.canvas.parentElement;
-    const maxWidth = container.clientWidth - 40;
-    const maxHeight = container.clientHeight - 40;
 
-    this.canvas.width = Math.min(1200, maxWidth);
-    this.canvas.height = Math.min(800, maxHeight);
+    this.canvas.width = Math.max(1, container.clientWidth - 4);
+    this.canvas.height = Math.max(1, container.clientHeight - 4);
+    this.previewCanvas.width = this.canvas.width;
+    this.previewCanvas.height = this.canvas.height;
+    this.layerCanvases.forEach(layerCanvas => {
+      layerCanvas.width = this.canvas.width;
+      layerCanvas.height = this.canvas.height;
+    });
   }
 
   setupContextDefaults() {
-    this.ctx.lineCap = 'round';
-    this.ctx.lineJoin = 'round';
+    this.getContexts().forEach(ctx => {
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+    });
+    this.applyViewport();
+  }
+
+  resize() {
+    this.setupCanvas();
+    this.setupContextDefaults();
+  }
+
+  getContexts() {
+    return [this.ctx, this.previewCtx].concat(Array.from(this.layerCanvases.values(), layerCanvas => layerCanvas.getContext('2d')));
+  }
+
+  applyViewport() {
+    const { offsetX, offsetY, scale } = this.viewport;
+    this.getContexts().forEach(ctx => ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY));
+  }
+
+  setLayers(layers) {
+    this.layers = layers;
+    this.layerCanvases.forEach((layerCanvas, id) => {
+      if (!layers.some(layer => layer.id === id)) {
+        this.layerCanvases.delete(id);
+      }
+    });
+  }
+
+  setLayer(layerId) {
+    this.layerId = layerId;
+  }
+
+  getLayerContext(layerId) {
+    const id = resolveLayerId({ layerId }, this.layers);
+    let layerCanvas = this.layerCanvases.get(id);
+
+    if (!layerCanvas) {
+      layerCanvas = document.createElement('canvas');
+      layerCanvas.width = this.canvas.width;
+      layerCanvas.height = this.canvas.height;
+      this.layerCanvases.set(id, layerCanvas);
+
+      const ctx = layerCanvas.getContext('2d');
+      const { offsetX, offsetY, scale } = this.viewport;
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+    }
+
+    return layerCanvas.getContext('2d');
+  }
+
+  composite() {
+    this.clearContext(this.ctx);
+
+    this.ctx.save();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.globalCompositeOperation = 'source-over';
+    this.layers.forEach(layer => {
+      const layerCanvas = this.layerCanvases.get(layer.id);
+      if (layer.visible && layerCanvas) {
+        this.ctx.drawImage(layerCanvas, 0, 0);
+      }
+    });
+    this.ctx.restore();
+  }
+
+  setViewport(viewport) {
+    this.viewport = { ...viewport };
+    this.applyViewport();
+  }
+
+  panBy(dx, dy) {
+    this.setViewport({
+      ...this.viewport,
+      offsetX: this.viewport.offsetX + dx,
+      offsetY: this.viewport.offsetY + dy
+    });
+  }
+
+  zoomAt(screenX, screenY, factor) {
+    const { offsetX, offsetY, scale } = this.viewport;
+    const nextScale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale * factor));
+    const world = this.screenToWorld({ x: screenX, y: screenY });
+
+    this.setViewport({
+      scale: nextScale,
+      offsetX: screenX - world.x * nextScale,
+      offsetY: screenY - world.y * nextScale
+    });
+
+    return offsetX !== this.viewport.offsetX || offsetY !== this.viewport.offsetY || scale !== nextScale;
+  }
+
+  zoomToFit(operations, padding = 40) {
+    const bounds = unionBounds(operations.map(op => getBounds(op, this.measureText)));
+    if (!bounds) {
+      this.setViewport({ offsetX: 0, offsetY: 0, scale: 1 });
+      return;
+    }
+
+    this.fitBounds(bounds, padding);
+  }
+
+  fitBounds(bounds, padding = 0) {
+    const width = Math.max(bounds.width, 1);
+    const height = Math.max(bounds.height, 1);
+    const scale = Math.min(
+      MAX_ZOOM,
+      Math.max(MIN_ZOOM, Math.min((this.canvas.width - padding * 2) / width, (this.canvas.height - padding * 2) / height))
+    );
+
+    this.setViewport({
+      scale: scale,
+      offsetX: this.canvas.width / 2 - (bounds.x + width / 2) * scale,
+      offsetY: this.canvas.height / 2 - (bounds.y + height / 2) * scale
+    });
+  }
+
+  getVisibleBounds() {
+    const { x, y } = this.screenToWorld({ x: 0, y: 0 });
+    const { scale } = this.viewport;
+    return { x, y, width: this.canvas.width / scale, height: this.canvas.height / scale };
+  }
+
+  centerOn(point) {
+    const { scale } = this.viewport;
+    this.setViewport({
+      scale: scale,
+      offsetX: this.canvas.width / 2 - point.x * scale,
+      offsetY: this.canvas.height / 2 - point.y * scale
+    });
   }
 
-  startDrawing(x, y) {
+  screenToWorld(point) {
+    const { offsetX, offsetY, scale } = this.viewport;
+    return {
+      x: (point.x - offsetX) / scale,
+      y: (point.y - offsetY) / scale
+    };
+  }
+
+  worldToScreen(point) {
+    const { offsetX, offsetY, scale } = this.viewport;
+    return {
+      x: point.x * scale + offsetX,
+      y: point.y * scale + offsetY
+    };
+  }
+
+  startDrawing(x, y, pressure) {
     this.isDrawing = true;
-    this.lastX = x;
-    this.lastY = y;
-    this.currentPath = [{ x, y }];
+    this.currentPath = [this.createPoint(x, y, pressure)];
   }
 
-  draw(x, y) {
-    if (!this.isDrawing) return;
+  createPoint(x, y, pressure) {
+    return pressure === undefined ? { x, y } : { x, y, p: pressure };
+  }
 
-    this.ctx.globalCompositeOperation = this.tool === 'eraser' ? 'destination-out' : 'source-over';
-    this.ctx.strokeStyle = this.tool === 'eraser' ? 'rgba(0,0,0,1)' : this.color;
-    this.ctx.lineWidth = this.lineWidth;
+  draw(x, y, pressure) {
+    if (!this.isDrawing) return null;
 
-    this.ctx.beginPath();
-    this.ctx.moveTo(this.lastX, this.lastY);
-    this.ctx.lineTo(x, y);
-    this.ctx.stroke();
+    const point = this.createPoint(x, y, pressure);
+    this.currentPath.push(point);
+    this.drawLatestSegment(this.getCurrentStroke());
+    return point;
+  }
 
-    this.currentPath.push({ x, y });
-    this.lastX = x;
-    this.lastY = y;
+  drawLatestSegment(stroke) {
+    if (stroke.points.length < 3) return;
+    this.drawSegment(stroke, getSmoothSegment(stroke.points, stroke.points.length - 3), this.getLayerContext(stroke.layerId));
+    this.composite();
   }
 
-  stopDrawing() {
+  applyStrokeStyle(stroke, ctx) {
+    ctx.globalCompositeOperation = stroke.tool === 'eraser' ? 'destination-out' : 'source-over';
+    ctx.strokeStyle = stroke.tool === 'eraser' ? 'rgba(0,0,0,1)' : stroke.color;
+    ctx.lineWidth = stroke.lineWidth;
+  }
+
+  traceSegment(segment, ctx) {
+    if (segment.control) {
+      ctx.quadraticCurveTo(segment.control.x, segment.control.y, segment.to.x, segment.to.y);
+    } else {
+      ctx.lineTo(segment.to.x, segment.to.y);
+    }
+  }
+
+  drawSegment(stroke, segment, ctx = this.ctx) {
+    this.applyStrokeStyle(stroke, ctx);
+    ctx.lineWidth = segmentWidth(stroke.lineWidth, segment.from, segment.to);
+
+    ctx.beginPath();
+    ctx.moveTo(segment.from.x, segment.from.y);
+    this.traceSegment(segment, ctx);
+    ctx.stroke();
+  }
+
+  cancelDrawing() {
     if (!this.isDrawing) return false;
     this.isDrawing = false;
+    this.currentPath = [];
     return true;
   }
 
-  drawRemotePath(operation) {
-    const { x, y, tool, color, lineWidth } = operation;
+  stopDrawing() {
+    if (!this.isDrawing) return null;
+    this.isDrawing = false;
+
+    const stroke = this.getCurrentStroke();
+    this.pendingLocalPaths.push(stroke);
+    return stroke;
+  }
 
-    this.ctx.globalCompositeOperation = tool === 'eraser' ? 'destination-out' : 'source-over';
-    this.ctx.strokeStyle = tool === 'eraser' ? 'rgba(0,0,0,1)' : color;
-    this.ctx.lineWidth = lineWidth;
+  getCurrentStroke() {
+    return {
+      tool: this.tool,
+      color: this.color,
+      lineWidth: this.lineWidth,
+      layerId: this.layerId,
+      points: this.currentPath
+    };
+  }
+
+  drawRemotePath(operation) {
+    const { strokeId, x, y, p } = operation;
 
     if (operation.type === 'draw-start') {
-      this.remoteLastX = x;
-      this.remoteLastY = y;
-    } else if (operation.type === 'draw-move' && this.remoteLastX !== undefined) {
-      this.ctx.beginPath();
-      this.ctx.moveTo(this.remoteLastX, this.remoteLastY);
-      this.ctx.lineTo(x, y);
-      this.ctx.stroke();
-      this.remoteLastX = x;
-      this.remoteLastY = y;
+      this.remoteStrokes.set(strokeId, {
+        userId: operation.userId,
+        tool: operation.tool,
+        color: operation.color,
+        lineWidth: operation.lineWidth,
+        layerId: operation.layerId,
+        points: [this.createPoint(x, y, p)]
+      });
+      return;
+    }
+
+    const stroke = this.getRemoteStroke(strokeId, operation.userId);
+    if (!stroke) return;
+
+    const points = operation.points || (x === undefined || y === undefined ? [] : [this.createPoint(x, y, p)]);
+    points.forEach(point => {
+      stroke.points.push(point);
+      this.drawLatestSegment(stroke);
+    });
+  }
+
+  getRemoteStroke(strokeId, userId) {
+    if (strokeId !== undefined) return this.remoteStrokes.get(strokeId);
+
+    return Array.from(this.remoteStrokes.values()).reverse().find(stroke => stroke.userId === userId);
+  }
+
+  cancelRemotePath(strokeId, userId) {
+    if (strokeId !== null) return this.remoteStrokes.delete(strokeId);
+
+    let cancelled = false;
+    this.remoteStrokes.forEach((stroke, id) => {
+      if (stroke.userId === userId) {
+        cancelled = this.remoteStrokes.delete(id);
+      }
+    });
+    return cancelled;
+  }
+
+  startShape(x, y) {
+    this.currentShape = {
+      type: 'shape',
+      shape: this.tool,
+      color: this.color,
+      lineWidth: this.lineWidth,
+      fill: this.fill,
+      layerId: this.layerId,
+      x1: x,
+      y1: y,
+      x2: x,
+      y2: y
+    };
+    this.renderPreview();
+  }
+
+  updateShape(x, y) {
+    if (!this.currentShape) return null;
+
+    this.currentShape.x2 = x;
+    this.currentShape.y2 = y;
+    this.renderPreview();
+    return this.currentShape;
+  }
+
+  finishShape(x, y) {
+    const shape = this.updateShape(x, y);
+    if (!shape) return null;
+
+    this.currentShape = null;
+    if (shape.x1 === shape.x2 && shape.y1 === shape.y2) {
+      this.renderPreview();
+      return null;
     }
+
+    this.pendingLocalShapes.push(shape);
+    this.renderPreview();
+    return shape;
+  }
+
+  cancelShape() {
+    if (!this.currentShape) return false;
+    this.currentShape = null;
+    this.renderPreview();
+    return true;
+  }
+
+  discardPending() {
+    this.isDrawing = false;
+    this.currentPath = [];
+    this.currentShape = null;
+    this.pendingLocalPaths = [];
+    this.pendingLocalShapes = [];
+    this.pendingLocalTexts = [];
+    this.localEditTargetId = null;
+    this.renderPreview();
+  }
+
+  setRemotePreview(userId, preview) {
+    const previous = this.remotePreviews.get(userId);
+    const previousTarget = previous ? previous.targetId : undefined;
+
+    if (preview) {
+      this.remotePreviews.set(userId, preview);
+    } else {
+      this.remotePreviews.delete(userId);
+    }
+    this.renderPreview();
+
+    return (preview ? preview.targetId : undefined) !== previousTarget;
+  }
+
+  setLocalEditTarget(id) {
+    this.localEditTargetId = id;
+  }
+
+  addPendingText(text) {
+    this.pendingLocalTexts.push(text);
+    this.renderPreview();
+  }
+
+  getExcludedIds() {
+    const ids = new Set();
+    this.remotePreviews.forEach(preview => {
+      if (preview.targetId) ids.add(preview.targetId);
+    });
+    this.pendingLocalTexts.forEach(text => {
+      if (text.targetId) ids.add(text.targetId);
+    });
+    if (this.localEditTargetId) {
+      ids.add(this.localEditTargetId);
+    }
+    if (this.selectionView && this.selectionView.transforming) {
+      this.selectionView.operations.forEach(op => ids.add(op.id));
+    }
+    return ids;
+  }
+
+  setSelectionView(view) {
+    const wasTransforming = Boolean(this.selectionView && this.selectionView.transforming);
+    this.selectionView = view;
+    this.renderPreview();
+    return wasTransforming !== Boolean(view && view.transforming);
+  }
+
+  drawSelection(view, ctx) {
+    if (view.transforming) {
+      view.operations.forEach(op => {
+        this.drawOperation({ ...op, transform: multiply(view.matrix, op.transform || IDENTITY) }, ctx);
+      });
+    }
+
+    const pixel = 1 / this.viewport.scale;
+
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.strokeStyle = '#45B7D1';
+    ctx.fillStyle = '#fff';
+    ctx.lineWidth = pixel;
+
+    if (view.marquee) {
+      ctx.setLineDash([4 * pixel, 4 * pixel]);
+      ctx.strokeRect(view.marquee.x, view.marquee.y, view.marquee.width, view.marquee.height);
+      ctx.setLineDash([]);
+    }
+
+    if (!view.outline) return;
+
+    ctx.beginPath();
+    view.outline.forEach((point, i) => {
+      if (i === 0) {
+        ctx.moveTo(point.x, point.y);
+      } else {
+        ctx.lineTo(point.x, point.y);
+      }
+    });
+    ctx.closePath();
+    ctx.stroke();
+
+    const topCenter = {
+      x: (view.outline[0].x + view.outline[1].x) / 2,
+      y: (view.outline[0].y + view.outline[1].y) / 2
+    };
+    ctx.beginPath();
+    ctx.moveTo(topCenter.x, topCenter.y);
+    ctx.lineTo(view.rotateHandle.x, view.rotateHandle.y);
+    ctx.stroke();
+
+    view.outline.concat([view.rotateHandle]).forEach(point => {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, 5 * pixel, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    });
+  }
+
+  renderPreview() {
+    this.clearContext(this.previewCtx);
+
+    this.remotePreviews.forEach(preview => this.drawOperation(preview, this.previewCtx));
+    this.pendingLocalShapes.forEach(shape => this.drawShape(shape, this.previewCtx));
+    this.pendingLocalTexts.forEach(text => this.drawOperation(text, this.previewCtx));
+    if (this.currentShape) {
+      this.drawShape(this.currentShape, this.previewCtx);
+    }
+    if (this.selectionView) {
+      this.drawSelection(this.selectionView, this.previewCtx);
+    }
+  }
+
+  commitOperation(operation, isOwn) {
+    if (operation.type === 'text' || operation.type === 'note') {
+      if (isOwn) {
+        const index = this.pendingLocalTexts.findIndex(text => !text.targetId);
+        if (index !== -1) this.pendingLocalTexts.splice(index, 1);
+      }
+      this.remotePreviews.delete(operation.userId);
+      this.drawOnLayer(operation);
+      this.renderPreview();
+      return false;
+    }
+
+    if (operation.type === 'shape') {
+      if (isOwn && this.pendingLocalShapes.length > 0) {
+        this.pendingLocalShapes.shift();
+      }
+      this.remotePreviews.delete(operation.userId);
+      this.drawOnLayer(operation);
+      this.renderPreview();
+      return false;
+    }
+
+    if (isOwn && this.pendingLocalPaths.length > 0) {
+      this.pendingLocalPaths.shift();
+      return true;
+    }
+
+    if (this.remoteStrokes.delete(operation.id)) {
+      return true;
+    }
+
+    this.drawOnLayer(operation);
+    return false;
+  }
+
+  drawOnLayer(operation) {
+    this.drawOperation(operation, this.getLayerContext(operation.layerId));
+    this.composite();
+  }
+
+  resolveUpdate(id) {
+    this.pendingLocalTexts = this.pendingLocalTexts.filter(text => text.targetId !== id);
+    this.remotePreviews.forEach((preview, userId) => {
+      if (preview.targetId === id) this.remotePreviews.delete(userId);
+    });
+    this.renderPreview();
   }
 
   setTool(tool) {
     this.tool = tool;
   }
 
+  setFill(fill) {
+    this.fill = fill;
+  }
+
   setColor(color) {
     this.color = color;
   }
@@ -91,68 +557,157 @@ export class CanvasDrawing {
   }
 
   clear() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.clearContext(this.ctx);
+  }
+
+  clearContext(ctx) {
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.restore();
   }
 
   redrawFromOperations(operations) {
-    this.clear();
-
-    const paths = new Map();
-
-    operations.forEach(op => {
-      const key = `${op.userId}-${op.timestamp}`;
-
-      if (op.type === 'draw-start') {
-        paths.set(key, {
-          points: [{ x: op.x, y: op.y }],
-          tool: op.tool,
-          color: op.color,
-          lineWidth: op.lineWidth
-        });
-      } else if (op.type === 'draw-move') {
-        const path = paths.get(key);
-        if (path) {
-          path.points.push({ x: op.x, y: op.y });
-        }
-      } else if (op.type === 'draw-end') {
-        const path = paths.get(key);
-        if (path) {
-          path.points.push({ x: op.x, y: op.y });
-          this.drawPath(path);
-          paths.delete(key);
-        }
+    this.layers.forEach(layer => this.clearContext(this.getLayerContext(layer.id)));
+
+    const excluded = this.getExcludedIds();
+    operations.forEach(operation => {
+      if (!excluded.has(operation.id)) {
+        this.drawOperation(operation, this.getLayerContext(operation.layerId));
       }
     });
 
-    paths.forEach(path => {
-      if (path.points.length > 0) {
-        this.drawPath(path);
-      }
+    const paths = Array.from(this.remoteStrokes.values()).concat(this.pendingLocalPaths);
+    if (this.isDrawing) {
+      paths.push(this.getCurrentStroke());
+    }
+    paths.forEach(path => this.drawPath(path, this.getLayerContext(path.layerId)));
+
+    this.composite();
+  }
+
+  drawOperation(operation, ctx = this.ctx) {
+    if (operation.transform) {
+      ctx.save();
+      ctx.transform(...operation.transform);
+    }
+
+    if (operation.type === 'shape') {
+      this.drawShape(operation, ctx);
+    } else if (operation.type === 'text') {
+      this.drawText(operation, ctx);
+    } else if (operation.type === 'note') {
+      this.drawNote(operation, ctx);
+    } else {
+      this.drawPath(operation, ctx);
+    }
+
+    if (operation.transform) {
+      ctx.restore();
+    }
+  }
+
+  drawText(text, ctx = this.ctx) {
+    const lineHeight = text.fontSize * TEXT_LINE_HEIGHT;
+
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = text.color;
+    ctx.font = `${text.fontSize}px sans-serif`;
+    ctx.textBaseline = 'top';
+
+    text.text.split('\n').forEach((line, index) => {
+      ctx.fillText(line, text.x, text.y + index * lineHeight);
     });
   }
 
-  drawPath(path) {
-    if (path.points.length === 0) return;
+  drawNote(note, ctx = this.ctx) {
+    const { x, y, width, height } = getLocalBounds(note, this.measureText);
+
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = note.color;
+    ctx.fillRect(x, y, width, height);
+    this.drawText({ ...note, x: note.x + NOTE_PADDING, y: note.y + NOTE_PADDING, color: getNoteTextColor(note.color) }, ctx);
+  }
+
+  hitTestText(operations, x, y, type = 'text') {
+    for (let i = operations.length - 1; i >= 0; i--) {
+      const operation = operations[i];
+      if (operation.type === type && hitTest(operation, { x, y }, this.measureText)) {
+        return operation;
+      }
+    }
+    return null;
+  }
+
+  drawShape(shape, ctx = this.ctx) {
+    const { x1, y1, x2, y2 } = shape;
+
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.strokeStyle = shape.color;
+    ctx.fillStyle = shape.color;
+    ctx.lineWidth = shape.lineWidth;
+
+    ctx.beginPath();
+    switch (shape.shape) {
+      case 'line':
+      case 'arrow':
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        break;
+      case 'rect':
+        ctx.rect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+        break;
+      case 'ellipse':
+        ctx.ellipse((x1 + x2) / 2, (y1 + y2) / 2, Math.abs(x2 - x1) / 2, Math.abs(y2 - y1) / 2, 0, 0, Math.PI * 2);
+        break;
+    }
 
-    this.ctx.globalCompositeOperation = path.tool === 'eraser' ? 'destination-out' : 'source-over';
-    this.ctx.strokeStyle = path.tool === 'eraser' ? 'rgba(0,0,0,1)' : path.color;
-    this.ctx.lineWidth = path.lineWidth;
+    if (shape.fill && (shape.shape === 'rect' || shape.shape === 'ellipse')) {
+      ctx.fill();
+    }
+    ctx.stroke();
 
-    this.ctx.beginPath();
-    this.ctx.moveTo(path.points[0].x, path.points[0].y);
+    if (shape.shape === 'arrow') {
+      const angle = Math.atan2(y2 - y1, x2 - x1);
+      const headLength = Math.max(10, shape.lineWidth * 3);
 
-    for (let i = 1; i < path.points.length; i++) {
-      this.ctx.lineTo(path.points[i].x, path.points[i].y);
+      ctx.beginPath();
+      ctx.moveTo(x2, y2);
+      ctx.lineTo(x2 - headLength * Math.cos(angle - Math.PI / 6), y2 - headLength * Math.sin(angle - Math.PI / 6));
+      ctx.lineTo(x2 - headLength * Math.cos(angle + Math.PI / 6), y2 - headLength * Math.sin(angle + Math.PI / 6));
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
     }
+  }
 
-    this.ctx.stroke();
+  drawPath(path, ctx = this.ctx) {
+    if (path.points.length === 0) return;
+
+    const segments = getSmoothSegments(path.points);
+
+    if (hasPressure(path.points)) {
+      segments.forEach(segment => this.drawSegment(path, segment, ctx));
+      return;
+    }
+
+    this.applyStrokeStyle(path, ctx);
+
+    ctx.beginPath();
+    ctx.moveTo(path.points[0].x, path.points[0].y);
+    segments.forEach(segment => this.traceSegment(segment, ctx));
+    ctx.stroke();
   }
 
-  getCanvasCoordinates(event) {
+  getScreenCoordinates(event) {
     const rect = this.canvas.getBoundingClientRect();
     return {
       x: event.clientX - rect.left,
       y: event.clientY - rect.top
     };
   }
+
+  getCanvasCoordinates(event) {
+    return this.screenToWorld(this.getScreenCoordinates(event));
+  }
 }
@@ -0,0 +1,171 @@
+const TYPING_IDLE_MS = 2000;
+const TYPING_TIMEOUT_MS = 5000;
+
+export class ChatPanel {
+  constructor(root) {
+    this.root = root;
+    this.messages = root.querySelector('.chat-messages');
+    this.typingStatus = root.querySelector('.chat-typing');
+    this.input = root.querySelector('.chat-input');
+    this.badge = root.querySelector('.chat-unread');
+    this.body = root.querySelector('.chat-body');
+    this.users = new Map();
+    this.typingUsers = new Map();
+    this.typing = false;
+    this.typingTimer = null;
+    this.typingSentAt = 0;
+    this.unread = 0;
+    this.userId = null;
+
+    this.onSend = null;
+    this.onTyping = null;
+
+    root.querySelector('.chat-toggle').addEventListener('click', () => this.setCollapsed(!this.isCollapsed()));
+    root.querySelector('.chat-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+    this.input.addEventListener('input', () => this.updateTyping());
+    this.input.addEventListener('blur', () => this.setTyping(false));
+    document.addEventListener('visibilitychange', () => this.markRead());
+  }
+
+  isCollapsed() {
+    return this.body.hidden;
+  }
+
+  setCollapsed(collapsed) {
+    this.body.hidden = collapsed;
+    this.root.classList.toggle('collapsed', collapsed);
+    this.markRead();
+  }
+
+  isVisible() {
+    return !this.isCollapsed() && !document.hidden;
+  }
+
+  markRead() {
+    if (!this.isVisible()) return;
+
+    this.unread = 0;
+    this.badge.hidden = true;
+    this.messages.scrollTop = this.messages.scrollHeight;
+  }
+
+  setHistory(messages, userId) {
+    this.userId = userId;
+    this.messages.innerHTML = '';
+    messages.forEach(message => this.messages.appendChild(this.createMessage(message)));
+    this.messages.scrollTop = this.messages.scrollHeight;
+  }
+
+  addMessage(message) {
+    const atBottom = this.messages.scrollHeight - this.messages.scrollTop - this.messages.clientHeight < 8;
+    this.messages.appendChild(this.createMessage(message));
+    this.clearTyping(message.userId);
+
+    if (atBottom || message.userId === this.userId) {
+      this.messages.scrollTop = this.messages.scrollHeight;
+    }
+
+    if (message.userId !== this.userId && !this.isVisible()) {
+      this.unread++;
+      this.badge.textContent = this.unread > 99 ? '99+' : String(this.unread);
+      this.badge.hidden = false;
+    }
+  }
+
+  createMessage(message) {
+    const item = document.createElement('div');
+    item.className = 'chat-message';
+    item.classList.toggle('own', message.userId === this.userId);
+
+    const meta = document.createElement('div');
+    meta.className = 'chat-meta';
+    const author = document.createElement('strong');
+    author.textContent = message.username;
+    author.style.color = message.color;
+    const time = document.createElement('time');
+    time.dateTime = new Date(message.timestamp).toISOString();
+    time.textContent = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    meta.append(author, time);
+
+    const text = document.createElement('div');
+    text.className = 'chat-text';
+    text.textContent = message.text;
+
+    item.append(meta, text);
+    return item;
+  }
+
+  submit() {
+    const text = this.input.value.trim();
+    if (!text) return;
+
+    this.onSend(text);
+    this.input.value = '';
+    this.setTyping(false);
+  }
+
+  updateTyping() {
+    const typing = this.input.value.trim() !== '';
+
+    clearTimeout(this.typingTimer);
+    if (typing) {
+      this.typingTimer = setTimeout(() => this.setTyping(false), TYPING_IDLE_MS);
+    }
+    this.setTyping(typing);
+  }
+
+  setTyping(typing) {
+    if (!typing) {
+      clearTimeout(this.typingTimer);
+    }
+
+    const now = Date.now();
+    const stale = typing && now - this.typingSentAt > TYPING_IDLE_MS;
+    if (this.typing === typing && !stale) return;
+
+    this.typing = typing;
+    this.typingSentAt = now;
+    this.onTyping(typing);
+  }
+
+  setUsers(users) {
+    this.users = new Map(users.map(user => [user.id, user]));
+    Array.from(this.typingUsers.keys())
+      .filter(userId => !this.users.has(userId))
+      .forEach(userId => this.clearTyping(userId));
+  }
+
+  setRemoteTyping(userId, typing) {
+    this.clearTyping(userId);
+    if (typing) {
+      this.typingUsers.set(userId, setTimeout(() => this.clearTyping(userId), TYPING_TIMEOUT_MS));
+    }
+    this.renderTyping();
+  }
+
+  clearTyping(userId) {
+    if (!this.typingUsers.has(userId)) return;
+
+    clearTimeout(this.typingUsers.get(userId));
+    this.typingUsers.delete(userId);
+    this.renderTyping();
+  }
+
+  renderTyping() {
+    const names = Array.from(this.typingUsers.keys())
+      .map(userId => this.users.get(userId))
+      .filter(Boolean)
+      .map(user => user.username);
+
+    this.typingStatus.textContent = names.length === 0
+      ? ''
+      : names.length === 1
+        ? `${names[0]} is typing...`
+        : names.length === 2
+          ? `${names[0]} and ${names[1]} are typing...`
+          : 'Several people are typing...';
+  }
+}
@@ -0,0 +1,265 @@
+export class CommentThreads {
+  constructor(overlay, list, canvasDrawing) {
+    this.overlay = overlay;
+    this.list = list;
+    this.canvasDrawing = canvasDrawing;
+    this.threads = [];
+    this.pageId = null;
+    this.activeId = null;
+    this.draft = null;
+    this.pendingId = null;
+    this.editable = true;
+    this.pins = new Map();
+    this.panel = this.createPanel();
+
+    this.onCreate = null;
+    this.onReply = null;
+    this.onResolve = null;
+    this.onSelect = null;
+  }
+
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'thread-panel';
+    panel.hidden = true;
+    panel.innerHTML = `
+      <div class="thread-header">
+        <span class="thread-title"></span>
+        <button class="thread-resolve-btn" type="button"></button>
+        <button class="thread-close-btn" type="button" title="Close">&times;</button>
+      </div>
+      <div class="thread-comments"></div>
+      <textarea class="thread-input" rows="2" placeholder="Write a comment..."></textarea>
+    `;
+
+    panel.addEventListener('pointerdown', (e) => e.stopPropagation());
+    panel.querySelector('.thread-close-btn').addEventListener('click', () => this.close());
+    panel.querySelector('.thread-resolve-btn').addEventListener('click', () => {
+      const thread = this.getThread(this.activeId);
+      if (thread) this.onResolve(thread.id, !thread.resolved);
+    });
+
+    const input = panel.querySelector('.thread-input');
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      } else if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.submit(input);
+      }
+    });
+
+    this.overlay.appendChild(panel);
+    return panel;
+  }
+
+  getThread(id) {
+    return this.threads.find(thread => thread.id === id) || null;
+  }
+
+  setThreads(threads, pageId) {
+    this.threads = threads;
+    this.pageId = pageId;
+
+    if (this.pendingId && this.getThread(this.pendingId)) {
+      this.activeId = this.pendingId;
+      this.pendingId = null;
+      this.draft = null;
+    }
+
+    const active = this.getThread(this.activeId);
+    if (this.activeId && (!active || active.pageId !== pageId)) {
+      this.close();
+    }
+
+    this.renderPins();
+    this.renderPanel();
+    this.renderList();
+  }
+
+  setEditable(editable) {
+    this.editable = editable;
+    if (!editable && this.draft) {
+      this.close();
+    }
+    this.renderPanel();
+  }
+
+  submit(input) {
+    const text = input.value.trim();
+    if (!text || !this.editable) return;
+
+    if (this.draft) {
+      this.pendingId = this.onCreate(this.draft, text);
+    } else if (this.activeId) {
+      this.onReply(this.activeId, text);
+    }
+    input.value = '';
+  }
+
+  open(threadId) {
+    this.draft = null;
+    this.pendingId = null;
+    this.activeId = threadId;
+    this.renderPins();
+    this.renderPanel();
+    this.panel.querySelector('.thread-input').focus();
+  }
+
+  openDraft(position) {
+    this.activeId = null;
+    this.pendingId = null;
+    this.draft = position;
+    this.renderPins();
+    this.renderPanel();
+    this.panel.querySelector('.thread-input').focus();
+  }
+
+  close() {
+    this.activeId = null;
+    this.draft = null;
+    this.pendingId = null;
+    this.panel.hidden = true;
+    this.renderPins();
+  }
+
+  isOpen() {
+    return !this.panel.hidden;
+  }
+
+  renderPins() {
+    const visible = this.threads.filter(thread =>
+      thread.pageId === this.pageId && (!thread.resolved || thread.id === this.activeId));
+    const ids = new Set(visible.map(thread => thread.id));
+
+    this.pins.forEach((pin, id) => {
+      if (!ids.has(id)) {
+        pin.remove();
+        this.pins.delete(id);
+      }
+    });
+
+    visible.forEach((thread, index) => {
+      let pin = this.pins.get(thread.id);
+      if (!pin) {
+        pin = document.createElement('button');
+        pin.type = 'button';
+        pin.className = 'comment-pin';
+        pin.addEventListener('pointerdown', (e) => e.stopPropagation());
+        pin.addEventListener('click', () => this.open(thread.id));
+        this.overlay.insertBefore(pin, this.panel);
+        this.pins.set(thread.id, pin);
+      }
+      pin.textContent = String(index + 1);
+      pin.title = thread.comments.length > 0 ? thread.comments[0].text : '';
+      pin.classList.toggle('active', thread.id === this.activeId);
+      pin.classList.toggle('resolved', thread.resolved);
+    });
+
+    this.reposition();
+  }
+
+  toOverlayPoint(point) {
+    const canvasRect = this.canvasDrawing.canvas.getBoundingClientRect();
+    const overlayRect = this.overlay.getBoundingClientRect();
+    const screen = this.canvasDrawing.worldToScreen(point);
+
+    return { x: screen.x + canvasRect.left - overlayRect.left, y: screen.y + canvasRect.top - overlayRect.top };
+  }
+
+  reposition() {
+    this.pins.forEach((pin, id) => {
+      const thread = this.getThread(id);
+      const screen = this.toOverlayPoint(thread);
+      pin.style.left = `${screen.x}px`;
+      pin.style.top = `${screen.y}px`;
+    });
+
+    const anchor = this.draft || this.getThread(this.activeId);
+    if (anchor) {
+      const screen = this.toOverlayPoint(anchor);
+      this.panel.style.left = `${screen.x + 16}px`;
+      this.panel.style.top = `${screen.y}px`;
+    }
+  }
+
+  renderPanel() {
+    const thread = this.getThread(this.activeId);
+    if (!thread && !this.draft) {
+      this.panel.hidden = true;
+      return;
+    }
+
+    this.panel.hidden = false;
+    this.panel.classList.toggle('resolved', Boolean(thread && thread.resolved));
+    this.panel.querySelector('.thread-title').textContent = thread ? (thread.resolved ? 'Resolved' : 'Comments') : 'New comment';
+
+    const resolveButton = this.panel.querySelector('.thread-resolve-btn');
+    resolveButton.hidden = !thread;
+    resolveButton.disabled = !this.editable;
+    resolveButton.textContent = thread && thread.resolved ? 'Reopen' : 'Resolve';
+
+    const comments = this.panel.querySelector('.thread-comments');
+    comments.innerHTML = '';
+    (thread ? thread.comments : []).forEach(comment => {
+      const item = document.createElement('div');
+      item.className = 'thread-comment';
+
+      const meta = document.createElement('div');
+      meta.className = 'thread-comment-meta';
+      const author = document.createElement('strong');
+      author.textContent = comment.username;
+      const time = document.createElement('time');
+      time.dateTime = new Date(comment.timestamp).toISOString();
+      time.textContent = new Date(comment.timestamp).toLocaleString();
+      meta.append(author, time);
+
+      const text = document.createElement('div');
+      text.className = 'thread-comment-text';
+      text.textContent = comment.text;
+
+      item.append(meta, text);
+      comments.appendChild(item);
+    });
+    comments.scrollTop = comments.scrollHeight;
+
+    const input = this.panel.querySelector('.thread-input');
+    input.disabled = !this.editable;
+    input.placeholder = thread ? 'Reply...' : 'Write a comment...';
+
+    this.reposition();
+  }
+
+  renderList() {
+    this.list.innerHTML = '';
+    const open = this.threads.filter(thread => !thread.resolved && thread.comments.length > 0);
+
+    if (open.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'thread-list-empty';
+      empty.textContent = 'No open comments';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    open.forEach(thread => {
+      const [first] = thread.comments;
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'thread-list-item';
+      item.classList.toggle('active', thread.id === this.activeId);
+
+      const author = document.createElement('strong');
+      author.textContent = first.username;
+      const text = document.createElement('span');
+      text.textContent = first.text;
+      const count = document.createElement('small');
+      count.textContent = thread.comments.length > 1 ? `${thread.comments.length - 1} replies` : '';
+
+      item.append(author, text, count);
+      item.addEventListener('click', () => this.onSelect(thread));
+      this.list.appendChild(item);
+    });
+  }
+}
@@ -0,0 +1,82 @@
+import { getExportBounds, renderSVG } from '../shared/svg.js';
+import { groupByLayer } from '../shared/layers.js';
+
+export class BoardExporter {
+  constructor(canvasDrawing) {
+    this.canvasDrawing = canvasDrawing;
+  }
+
+  getLayerGroups(operations, layers = this.canvasDrawing.layers) {
+    return groupByLayer(operations, layers).filter(group => group.layer.visible);
+  }
+
+  getBounds(operations, layers = this.canvasDrawing.layers) {
+    return getExportBounds(operations, { layers, measureText: this.canvasDrawing.measureText });
+  }
+
+  toPNG(operations, { background = null, scale = 1 } = {}) {
+    const bounds = this.getBounds(operations);
+    if (!bounds) return Promise.resolve(null);
+
+    const output = this.createCanvas(bounds, scale);
+    const outputCtx = output.getContext('2d');
+    if (background) {
+      outputCtx.fillStyle = background;
+      outputCtx.fillRect(0, 0, output.width, output.height);
+    }
+
+    const layer = this.createCanvas(bounds, scale);
+    const layerCtx = layer.getContext('2d');
+    this.getLayerGroups(operations).forEach(group => {
+      layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+      layerCtx.clearRect(0, 0, layer.width, layer.height);
+      layerCtx.setTransform(scale, 0, 0, scale, -bounds.x * scale, -bounds.y * scale);
+      layerCtx.lineCap = 'round';
+      layerCtx.lineJoin = 'round';
+      group.operations.forEach(op => this.canvasDrawing.drawOperation(op, layerCtx));
+      outputCtx.drawImage(layer, 0, 0);
+    });
+
+    return new Promise(resolve => output.toBlob(resolve, 'image/png'));
+  }
+
+  toSVG(operations, { background = null, scale = 1 } = {}) {
+    const bounds = this.getBounds(operations);
+    if (!bounds) return null;
+
+    const svg = renderSVG(operations, { bounds, background, scale, layers: this.canvasDrawing.layers, measureText: this.canvasDrawing.measureText });
+    return new Blob([svg], { type: 'image/svg+xml' });
+  }
+
+  toThumbnail(operations, layers, width) {
+    const bounds = this.getBounds(operations, layers);
+    if (!bounds) return null;
+
+    const svg = renderSVG(operations, {
+      bounds,
+      background: '#fff',
+      scale: width / bounds.width,
+      layers,
+      measureText: this.canvasDrawing.measureText
+    });
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  }
+
+  createCanvas(bounds, scale) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bounds.width * scale));
+    canvas.height = Math.max(1, Math.round(bounds.height * scale));
+    return canvas;
+  }
+
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+}
@@ -1,22 +1,77 @@
-import { CanvasDrawing } from './canvas.js';
+import { CanvasDrawing, SHAPE_TOOLS } from './canvas.js';
 import { WebSocketClient } from './websocket.js';
+import { BoardState } from './board-state.js';
+import { TextEditor } from './text-editor.js';
+import { CommentThreads } from './comments.js';
+import { ChatPanel } from './chat.js';
+import { SelectionTool } from './selection.js';
+import { BoardExporter } from './export.js';
+import { Playback } from './playback.js';
+import { IDENTITY, multiply } from '../shared/geometry.js';
+import { simplifyPoints } from '../shared/smoothing.js';
+import { REACTIONS } from '../shared/reactions.js';
+
+const PALM_REJECTION_MS = 500;
+const REJECTED_UPDATE_CODES = ['layer-locked', 'room-full', 'too-large', 'invalid-field'];
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_DELAY_MS = 500;
+const VIEWPORT_THROTTLE_MS = 100;
+const EDGE_MARGIN = 4;
+const REACTION_DURATION_MS = 1500;
 
 class CollaborativeCanvas {
   constructor() {
     this.canvas = document.getElementById('canvas');
-    this.canvasDrawing = new CanvasDrawing(this.canvas);
+    this.canvasDrawing = new CanvasDrawing(this.canvas, document.getElementById('preview-canvas'));
     this.wsClient = new WebSocketClient();
+    this.boardState = new BoardState();
+    this.textEditor = new TextEditor(document.querySelector('.canvas-stack'), this.canvasDrawing);
+    this.selectionTool = new SelectionTool(this.canvasDrawing.measureText);
+    this.exporter = new BoardExporter(this.canvasDrawing);
+    this.playback = new Playback(document.getElementById('playback-canvas'));
+    this.comments = new CommentThreads(
+      document.getElementById('comments-overlay'),
+      document.getElementById('thread-list'),
+      this.canvasDrawing
+    );
+    this.chat = new ChatPanel(document.getElementById('chat-section'));
 
     this.currentTool = 'brush';
     this.currentColor = '#000000';
     this.currentLineWidth = 3;
+    this.currentFontSize = 24;
 
     this.remoteCursors = new Map();
+    this.remoteCursorPositions = new Map();
+    this.panning = null;
+    this.spacePressed = false;
+    this.activePointer = null;
+    this.touches = new Map();
+    this.pinch = null;
+    this.lastPenTime = -Infinity;
     this.users = new Map();
     this.drawThrottle = null;
+    this.drawFrame = null;
+    this.pendingDrawPoints = [];
+    this.currentStrokeId = null;
     this.cursorThrottle = null;
+    this.viewportThrottle = null;
+    this.textPreviewThrottle = null;
 
     this.userInfo = null;
+    this.inviteLink = null;
+    this.role = 'editor';
+    this.activeLayerId = null;
+    this.pendingLayerId = null;
+    this.pendingPageId = null;
+    this.presenter = null;
+    this.thumbnailTimer = null;
+    this.thumbnails = new Map();
+    this.staleThumbnails = new Set();
+    this.following = null;
+    this.edgeIndicators = new Map();
+    this.pendingReaction = null;
+    this.reactions = new Set();
 
     this.setupModal();
   }
@@ -25,24 +80,58 @@ class CollaborativeCanvas {
     const modal = document.getElementById('join-modal');
     const form = document.getElementById('join-form');
 
+    const errorBox = document.getElementById('join-error');
+    const params = new URLSearchParams(window.location.search);
+    const inviteToken = params.get('invite') || undefined;
+    if (params.get('room')) {
+      document.getElementById('room-id').value = params.get('room');
+    }
+
+    const forkKey = `fork:${params.get('room')}`;
+    const forkSession = JSON.parse(localStorage.getItem(forkKey) || 'null');
+    if (forkSession) {
+      document.getElementById('username').value = forkSession.username;
+    }
+
     form.addEventListener('submit', async (e) => {
       e.preventDefault();
 
       const username = document.getElementById('username').value.trim();
       const roomId = document.getElementById('room-id').value.trim() || 'default';
+      const undoMode = document.getElementById('undo-mode').value;
+      const password = document.getElementById('room-password').value || undefined;
+      const access = {
+        private: document.getElementById('room-private').checked,
+        defaultRole: document.getElementById('room-default-role').value,
+        locked: document.getElementById('room-locked').checked,
+        password: password,
+        allowedUsers: document.getElementById('room-allowed-users').value
+          .split(',')
+          .map(name => name.trim())
+          .filter(Boolean)
+      };
 
+      const sessionToken = forkSession && roomId === params.get('room') ? forkSession.sessionToken : undefined;
+
+      errorBox.hidden = true;
       try {
-        await this.initialize(roomId, username);
+        await this.initialize(roomId, username, { undoMode, password, inviteToken, access, sessionToken });
+        localStorage.removeItem(forkKey);
         modal.style.display = 'none';
       } catch (error) {
-        alert('Failed to connect: ' + error.message);
+        errorBox.textContent = error.message;
+        errorBox.hidden = false;
       }
     });
   }
 
-  async initialize(roomId, username) {
+  async initialize(roomId, username, options = {}) {
     try {
-      const joinData = await this.wsClient.connect(roomId, username);
+      const joinData = await this.wsClient.connect(roomId, username, {
+        ...options,
+        clientId: this.boardState.clientId,
+        getStateVector: () => this.boardState.document.getStateVector()
+      });
 
       this.userInfo = {
         id: joinData.userId,
@@ -52,13 +141,24 @@ class CollaborativeCanvas {
 
       document.getElementById('room-name').textContent = `Room: ${roomId}`;
 
-      this.canvasDrawing.redrawFromOperations(joinData.operations);
+      this.boardState.loadSnapshot(joinData);
+      this.syncLayers();
+      this.syncThreads();
+      this.redrawBoard();
+      this.setUndoMode(joinData.undoMode);
+      this.setRoomAccess(roomId, joinData.access);
+      this.role = joinData.role;
 
       this.updateUserList(joinData.users);
+      this.chat.setHistory(joinData.chat, joinData.userId);
 
       this.setupEventListeners();
       this.setupWebSocketHandlers();
       this.setupKeyboardShortcuts();
+      this.applyRole();
+      this.wsClient.sendPageView(this.boardState.pageId);
+      this.scheduleViewportBroadcast();
+      this.setPresenter(joinData.presenter);
 
     } catch (error) {
       console.error('Initialization error:', error);
@@ -67,12 +167,32 @@ class CollaborativeCanvas {
   }
 
   setupEventListeners() {
-    this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-    this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-    this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
-    this.canvas.addEventListener('mouseleave', (e) => this.handleMouseLeave(e));
+    this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+    this.canvas.addEventListener('pointercancel', (e) => this.handlePointerCancel(e));
+    this.canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+    this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+    this.canvas.addEventListener('mousedown', (e) => e.preventDefault());
+    this.canvas.addEventListener('auxclick', (e) => e.preventDefault());
+
+    window.addEventListener('resize', () => {
+      this.canvasDrawing.resize();
+      if (this.playback.isActive()) {
+        this.playback.resize();
+      }
+      this.onViewportChanged();
+    });
+
+    document.getElementById('zoom-in-btn').addEventListener('click', () => this.zoomAtCenter(1.25));
+    document.getElementById('zoom-out-btn').addEventListener('click', () => this.zoomAtCenter(0.8));
+    document.getElementById('zoom-fit-btn').addEventListener('click', () => {
+      this.stopFollowing();
+      this.canvasDrawing.zoomToFit(this.boardState.getVisibleOperations());
+      this.onViewportChanged();
+    });
 
-    document.querySelectorAll('.tool-btn').forEach(btn => {
+    document.querySelectorAll('[data-tool]').forEach(btn => {
       btn.addEventListener('click', (e) => {
         const tool = e.currentTarget.dataset.tool;
         this.selectTool(tool);
@@ -86,6 +206,10 @@ class CollaborativeCanvas {
       });
     });
 
+    document.getElementById('fill-shapes').addEventListener('change', (e) => {
+      this.canvasDrawing.setFill(e.target.checked);
+    });
+
     const strokeWidth = document.getElementById('stroke-width');
     const strokeValue = document.getElementById('stroke-value');
     strokeWidth.addEventListener('input', (e) => {
@@ -95,49 +219,339 @@ class CollaborativeCanvas {
       strokeValue.textContent = `${width}px`;
     });
 
+    const fontSize = document.getElementById('font-size');
+    const fontSizeValue = document.getElementById('font-size-value');
+    fontSize.addEventListener('input', (e) => {
+      this.currentFontSize = parseInt(e.target.value);
+      fontSizeValue.textContent = `${this.currentFontSize}px`;
+    });
+
     document.getElementById('undo-btn').addEventListener('click', () => {
-      this.wsClient.sendUndo();
+      this.wsClient.sendUndo(this.boardState.pageId);
     });
 
     document.getElementById('redo-btn').addEventListener('click', () => {
-      this.wsClient.sendRedo();
+      this.wsClient.sendRedo(this.boardState.pageId);
     });
 
     document.getElementById('clear-btn').addEventListener('click', () => {
-      if (confirm('Clear the entire canvas? This affects all users.')) {
-        this.wsClient.sendClear();
+      if (confirm('Clear this page? This affects all users.')) {
+        this.wsClient.sendClear(this.boardState.pageId);
+      }
+    });
+
+    document.getElementById('page-add-btn').addEventListener('click', () => this.addPage());
+    document.getElementById('page-duplicate-btn').addEventListener('click', () => {
+      this.wsClient.sendPageDuplicate(this.boardState.pageId);
+    });
+    document.getElementById('page-delete-btn').addEventListener('click', () => {
+      if (confirm('Delete this page and everything on it? This affects all users.')) {
+        this.wsClient.sendPageDelete(this.boardState.pageId);
+      }
+    });
+    document.getElementById('page-up-btn').addEventListener('click', () => this.moveCurrentPage(-1));
+    document.getElementById('page-down-btn').addEventListener('click', () => this.moveCurrentPage(1));
+    document.getElementById('follow-presenter').addEventListener('change', () => this.followPresenter());
+    document.getElementById('follow-stop-btn').addEventListener('click', () => this.stopFollowing());
+    document.getElementById('present-btn').addEventListener('click', () => {
+      this.wsClient.sendPresent(!this.isPresenting());
+    });
+
+    this.comments.onCreate = (position, text) => this.createThread(position, text);
+    this.comments.onReply = (threadId, text) => this.wsClient.sendUpdates([this.createComment(threadId, text)]);
+    this.comments.onResolve = (threadId, resolved) => {
+      this.wsClient.sendUpdates([this.boardState.updateObject(threadId, { resolved })]);
+    };
+    this.comments.onSelect = (thread) => this.jumpToThread(thread);
+
+    this.chat.onSend = (text) => this.wsClient.sendChat(text);
+    this.chat.onTyping = (typing) => this.wsClient.sendChatTyping(typing);
+
+    const reactionPicker = document.getElementById('reaction-picker');
+    REACTIONS.forEach(emoji => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'reaction-btn';
+      button.dataset.reaction = emoji;
+      button.textContent = emoji;
+      button.title = 'Click the board to react';
+      button.addEventListener('click', () => this.selectReaction(this.pendingReaction === emoji ? null : emoji));
+      reactionPicker.appendChild(button);
+    });
+
+    document.getElementById('layer-add-btn').addEventListener('click', () => this.addLayer());
+    document.getElementById('layer-up-btn').addEventListener('click', () => this.moveActiveLayer(1));
+    document.getElementById('layer-down-btn').addEventListener('click', () => this.moveActiveLayer(-1));
+
+    document.getElementById('playback-btn').addEventListener('click', () => this.startPlayback());
+    document.getElementById('playback-exit-btn').addEventListener('click', () => this.stopPlayback());
+    document.getElementById('playback-fork-btn').addEventListener('click', () => this.forkAtPlayback());
+    document.getElementById('playback-toggle-btn').addEventListener('click', () => {
+      if (this.playback.playing) {
+        this.playback.pause();
+      } else {
+        this.playback.play();
+      }
+    });
+    document.getElementById('playback-scrubber').addEventListener('input', (e) => {
+      this.playback.pause();
+      this.playback.seek(parseFloat(e.target.value));
+    });
+    document.getElementById('playback-speed').addEventListener('change', (e) => {
+      this.playback.setSpeed(parseFloat(e.target.value));
+    });
+    this.playback.onChange = () => this.updatePlaybackBar();
+
+    document.getElementById('copy-invite-btn').addEventListener('click', () => this.copyInviteLink(this.inviteLink));
+
+    document.getElementById('export-png-btn').addEventListener('click', () => this.exportImage('png'));
+    document.getElementById('export-svg-btn').addEventListener('click', () => this.exportImage('svg'));
+    document.getElementById('export-json-btn').addEventListener('click', () => this.exportJSON());
+
+    const importInput = document.getElementById('import-json-input');
+    document.getElementById('import-json-btn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+      const file = importInput.files[0];
+      importInput.value = '';
+      if (file) {
+        this.importJSON(file);
       }
     });
   }
 
+  getExportOptions() {
+    return {
+      background: document.getElementById('export-transparent').checked
+        ? null
+        : document.getElementById('export-background').value,
+      scale: parseFloat(document.getElementById('export-scale').value)
+    };
+  }
+
+  async exportImage(format) {
+    const operations = this.boardState.getVisibleOperations();
+    const options = this.getExportOptions();
+    const blob = format === 'svg'
+      ? this.exporter.toSVG(operations, options)
+      : await this.exporter.toPNG(operations, options);
+
+    if (!blob) {
+      alert('Nothing to export yet.');
+      return;
+    }
+
+    this.exporter.download(blob, `${this.wsClient.roomId}.${format}`);
+  }
+
+  async exportJSON() {
+    try {
+      const response = await fetch(`/api/rooms/${encodeURIComponent(this.wsClient.roomId)}/export`, {
+        headers: { 'X-Session-Token': this.wsClient.sessionToken }
+      });
+      if (!response.ok) throw new Error((await response.json()).error);
+
+      this.exporter.download(await response.blob(), `${this.wsClient.roomId}.json`);
+    } catch (error) {
+      alert('Export failed: ' + error.message);
+    }
+  }
+
+  async importJSON(file) {
+    if (!confirm('Replace the entire canvas with the imported board? This affects all users.')) return;
+
+    try {
+      const response = await fetch(`/api/rooms/${encodeURIComponent(this.wsClient.roomId)}/import`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Session-Token': this.wsClient.sessionToken
+        },
+        body: await file.text()
+      });
+      if (!response.ok) throw new Error((await response.json()).error);
+    } catch (error) {
+      alert('Import failed: ' + error.message);
+    }
+  }
+
+  async startPlayback() {
+    if (this.playback.isActive()) return;
+
+    this.textEditor.commit();
+    try {
+      const response = await fetch(`/api/rooms/${encodeURIComponent(this.wsClient.roomId)}/timeline`, {
+        headers: { 'X-Session-Token': this.wsClient.sessionToken }
+      });
+      const timeline = await response.json();
+      if (!response.ok) throw new Error(timeline.error);
+      if (this.playback.isActive()) return;
+
+      this.playback.setSpeed(parseFloat(document.getElementById('playback-speed').value));
+      this.playback.start(timeline, this.boardState.pageId, this.canvasDrawing.viewport);
+      document.getElementById('playback-bar').hidden = false;
+      this.applyRole();
+    } catch (error) {
+      alert('Playback failed: ' + error.message);
+    }
+  }
+
+  stopPlayback() {
+    this.playback.stop();
+    document.getElementById('playback-bar').hidden = true;
+    this.applyRole();
+  }
+
+  updatePlaybackBar() {
+    const scrubber = document.getElementById('playback-scrubber');
+    scrubber.max = String(this.playback.duration);
+    scrubber.value = String(this.playback.position);
+
+    const timestamp = this.playback.getTimestamp();
+    document.getElementById('playback-time').textContent = timestamp
+      ? new Date(timestamp).toLocaleString()
+      : 'Empty board';
+    document.getElementById('playback-toggle-btn').textContent = this.playback.playing ? 'Pause' : 'Play';
+  }
+
+  async forkAtPlayback() {
+    this.playback.pause();
+    const timestamp = this.playback.getTimestamp() || 0;
+
+    try {
+      const response = await fetch(`/api/rooms/${encodeURIComponent(this.wsClient.roomId)}/fork`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Session-Token': this.wsClient.sessionToken
+        },
+        body: JSON.stringify({ until: timestamp })
+      });
+      const fork = await response.json();
+      if (!response.ok) throw new Error(fork.error);
+
+      localStorage.setItem(`fork:${fork.roomId}`, JSON.stringify({
+        sessionToken: fork.sessionToken,
+        username: this.userInfo.username
+      }));
+      window.open(`${window.location.pathname}?room=${encodeURIComponent(fork.roomId)}`, '_blank');
+    } catch (error) {
+      alert('Fork failed: ' + error.message);
+    }
+  }
+
   setupWebSocketHandlers() {
     this.wsClient.on('draw', (message) => {
+      if (message.operation.type !== 'draw-cancel' && !this.isOnCurrentPage(message.operation.userId)) return;
+
+      if (message.operation.type === 'draw-cancel') {
+        if (this.canvasDrawing.cancelRemotePath(message.operation.strokeId, message.operation.userId)) {
+          this.redrawBoard();
+        }
+        return;
+      }
       this.canvasDrawing.drawRemotePath(message.operation);
     });
 
+    this.wsClient.on('shape-preview', (message) => {
+      if (!this.isOnCurrentPage(message.userId)) return;
+      this.canvasDrawing.setRemotePreview(message.userId, message.shape);
+    });
+
+    this.wsClient.on('text-preview', (message) => {
+      if (!this.isOnCurrentPage(message.userId)) return;
+      if (this.canvasDrawing.setRemotePreview(message.userId, message.text)) {
+        this.redrawBoard();
+      }
+    });
+
     this.wsClient.on('cursor-update', (message) => {
+      if (!this.isOnCurrentPage(message.userId)) return;
       this.updateRemoteCursor(message.userId, message.x, message.y);
     });
 
+    this.wsClient.on('viewport-update', (message) => {
+      const user = this.users.get(message.userId);
+      if (!user) return;
+
+      user.viewport = { x: message.x, y: message.y, width: message.width, height: message.height };
+      if (this.following === message.userId) {
+        this.jumpToUser(message.userId);
+      }
+      this.updateEdgeIndicators();
+    });
+
+    this.wsClient.on('page-view', (message) => {
+      const user = this.users.get(message.userId);
+      if (user) {
+        user.pageId = message.pageId;
+      }
+      if (this.following === message.userId) {
+        this.selectPage(message.pageId);
+      }
+      if (!this.isOnCurrentPage(message.userId)) {
+        this.clearRemoteActivity(message.userId);
+      }
+      this.updatePageList();
+      this.updateEdgeIndicators();
+
+      if (this.presenter && this.presenter.userId === message.userId) {
+        this.setPresenter({ ...this.presenter, pageId: message.pageId });
+      }
+    });
+
+    this.wsClient.on('presenter', (message) => {
+      const presenter = message.presenter;
+      if (presenter && presenter.userId !== this.userInfo.id && (!this.presenter || this.presenter.userId !== presenter.userId)) {
+        document.getElementById('follow-presenter').checked = true;
+      }
+      this.setPresenter(presenter);
+    });
+
+    this.wsClient.on('chat', (message) => {
+      this.chat.addMessage(message.message);
+    });
+
+    this.wsClient.on('chat-typing', (message) => {
+      this.chat.setRemoteTyping(message.userId, message.typing);
+    });
+
+    this.wsClient.on('reaction', (message) => {
+      if (!this.isOnCurrentPage(message.userId)) return;
+      this.showReaction(message.emoji, message);
+    });
+
     this.wsClient.on('user-joined', (message) => {
       this.updateUserList(message.users);
     });
 
+    this.wsClient.on('role-changed', (message) => {
+      this.updateUserList(message.users);
+      if (message.userId === this.userInfo.id) {
+        this.role = message.role;
+        this.applyRole();
+      }
+    });
+
     this.wsClient.on('user-left', (message) => {
       this.updateUserList(message.users);
       this.removeRemoteCursor(message.userId);
+      if (this.canvasDrawing.setRemotePreview(message.userId, null)) {
+        this.redrawBoard();
+      }
+      this.setPresenter(message.presenter);
     });
 
-    this.wsClient.on('undo', (message) => {
-      this.canvasDrawing.redrawFromOperations(message.operations);
+    this.wsClient.on('update', (message) => {
+      this.applyUpdates(message.updates);
     });
 
-    this.wsClient.on('redo', (message) => {
-      this.canvasDrawing.redrawFromOperations(message.operations);
+    this.wsClient.on('joined', (message) => {
+      this.handleResume(message);
     });
 
-    this.wsClient.on('clear', () => {
-      this.canvasDrawing.clear();
+    this.wsClient.on('join-error', (message) => {
+      document.getElementById('connection-indicator').className = 'status-dot disconnected';
+      document.getElementById('connection-text').textContent = message.message;
     });
 
     this.wsClient.on('connection-status', (data) => {
@@ -154,56 +568,446 @@ class CollaborativeCanvas {
     });
 
     this.wsClient.on('error', (data) => {
-      console.error('WebSocket error:', data.message);
+      if (REJECTED_UPDATE_CODES.includes(data.code)) {
+        this.canvasDrawing.discardPending();
+        this.redrawBoard();
+      }
+      console.error(data.code ? `Server rejected message (${data.code}):` : 'WebSocket error:', data.message);
     });
   }
 
+  handleResume(joinData) {
+    this.userInfo = {
+      id: joinData.userId,
+      username: joinData.username,
+      color: joinData.color
+    };
+    this.role = joinData.role;
+    this.applyRole();
+
+    if (joinData.updates) {
+      this.applyUpdates(joinData.updates);
+    } else {
+      this.boardState.loadSnapshot(joinData);
+      this.resetThumbnails();
+      this.syncLayers();
+      this.syncThreads();
+      this.redrawBoard();
+      this.updatePageList();
+    }
+
+    this.updateUserList(joinData.users);
+    this.chat.setHistory(joinData.chat, joinData.userId);
+    this.wsClient.sendPageView(this.boardState.pageId);
+    this.scheduleViewportBroadcast();
+    this.setPresenter(joinData.presenter);
+  }
+
+  updateSelectionView() {
+    const view = this.currentTool === 'select'
+      ? this.selectionTool.getView(this.boardState.getEditableOperations())
+      : null;
+    return this.canvasDrawing.setSelectionView(view);
+  }
+
+  redrawBoard() {
+    this.canvasDrawing.redrawFromOperations(this.boardState.getVisibleOperations());
+  }
+
+  applyUpdates(updates) {
+    const pageId = this.boardState.pageId;
+    const result = this.boardState.applyUpdates(updates);
+
+    if (this.boardState.pageId !== pageId) {
+      this.onPageChanged();
+    } else if (this.pendingPageId && this.boardState.getPage(this.pendingPageId)) {
+      this.choosePage(this.pendingPageId);
+    }
+
+    if (result.layersChanged) {
+      this.syncLayers();
+    }
+    result.changedPageIds.forEach(pageId => this.staleThumbnails.add(pageId));
+    if (result.pagesChanged) {
+      this.updatePageList();
+    } else {
+      this.scheduleThumbnails();
+    }
+    if (result.threadsChanged) {
+      this.syncThreads();
+    }
+
+    let needsRedraw = result.needsRedraw;
+    result.added.forEach(op => {
+      if (this.canvasDrawing.commitOperation(op, op.userId === this.userInfo.id)) {
+        needsRedraw = true;
+      }
+    });
+    result.updated.forEach(id => this.canvasDrawing.resolveUpdate(id));
+
+    this.selectionTool.retain(this.boardState.getEditableOperations());
+    this.selectionTool.resolvePending(result.updated);
+    const selectionChanged = this.updateSelectionView();
+
+    if (needsRedraw || selectionChanged) {
+      this.redrawBoard();
+    }
+  }
+
   setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
+      if (e.target.matches('input, textarea')) return;
+
+      if (e.key === 'Escape' && this.pendingReaction) {
+        this.selectReaction(null);
+        return;
+      }
+
+      if (e.key === ' ') {
+        e.preventDefault();
+        if (!this.spacePressed) {
+          this.spacePressed = true;
+          this.canvas.style.cursor = this.getIdleCursor();
+        }
+        return;
+      }
+
+      if (!this.canEdit()) return;
+
+      if (this.currentTool === 'select' && (e.key === 'Delete' || e.key === 'Backspace' || e.key === 'Escape')) {
+        e.preventDefault();
+        if (e.key !== 'Escape' && this.selectionTool.hasSelection()) {
+          this.wsClient.sendUpdates(Array.from(this.selectionTool.selectedIds, id => (
+            this.boardState.updateObject(id, { deleted: true })
+          )));
+        }
+        this.selectionTool.clear();
+        if (this.updateSelectionView()) {
+          this.redrawBoard();
+        }
+        return;
+      }
+
       if (e.ctrlKey || e.metaKey) {
         if (e.key === 'z' && !e.shiftKey) {
           e.preventDefault();
-          this.wsClient.sendUndo();
+          this.wsClient.sendUndo(this.boardState.pageId);
         } else if (e.key === 'y' || (e.key === 'z' && e.shiftKey)) {
           e.preventDefault();
-          this.wsClient.sendRedo();
+          this.wsClient.sendRedo(this.boardState.pageId);
+        }
+      }
+    });
+
+    document.addEventListener('keyup', (e) => {
+      if (e.key === ' ') {
+        this.spacePressed = false;
+        if (!this.panning) {
+          this.canvas.style.cursor = this.getIdleCursor();
         }
       }
     });
   }
 
-  handleMouseDown(e) {
+  canEdit() {
+    return this.role !== 'viewer' && !this.playback.isActive();
+  }
+
+  canDrawOnActiveLayer() {
+    const layer = this.boardState.getLayer(this.activeLayerId);
+    return Boolean(layer) && layer.visible && !layer.locked;
+  }
+
+  getIdleCursor() {
+    if (this.pendingReaction && !this.spacePressed) return 'copy';
+    if (this.spacePressed || !this.canEdit()) return 'grab';
+    const needsLayer = this.currentTool !== 'select' && this.currentTool !== 'comment';
+    return needsLayer && !this.canDrawOnActiveLayer() ? 'not-allowed' : '';
+  }
+
+  applyRole() {
+    const canEdit = this.canEdit();
+    const isOwner = this.role === 'owner' && canEdit;
+
+    document.querySelectorAll('[data-tool], .color-btn, #fill-shapes, #stroke-width, #font-size, #undo-btn, #redo-btn, #layer-add-btn, #layer-up-btn, #layer-down-btn, #page-add-btn, #page-duplicate-btn, #page-up-btn, #page-down-btn')
+      .forEach(control => {
+        control.disabled = !canEdit;
+      });
+    document.getElementById('clear-btn').disabled = !isOwner;
+    document.getElementById('present-btn').hidden = this.role !== 'owner';
+    document.getElementById('import-json-btn').disabled = !isOwner;
+    document.getElementById('user-role').textContent = `Role: ${this.role.charAt(0).toUpperCase()}${this.role.slice(1)}`;
+    this.canvas.style.cursor = this.getIdleCursor();
+    this.updateLayerList();
+    this.updatePageList();
+    this.comments.setEditable(canEdit);
+
+    if (!canEdit) {
+      this.cancelInteraction();
+      this.textEditor.cancel();
+      this.canvasDrawing.discardPending();
+      this.selectionTool.clear();
+      this.updateSelectionView();
+      this.redrawBoard();
+    }
+  }
+
+  isPenActive() {
+    return (this.activePointer && this.activePointer.type === 'pen') ||
+      performance.now() - this.lastPenTime < PALM_REJECTION_MS;
+  }
+
+  getPressure(e) {
+    return e.pointerType === 'pen' ? e.pressure : undefined;
+  }
+
+  handlePointerDown(e) {
+    this.stopFollowing();
+
+    if (e.pointerType === 'pen') {
+      this.lastPenTime = performance.now();
+      if (this.activePointer && this.activePointer.type === 'touch') {
+        this.cancelInteraction();
+      }
+      this.touches.clear();
+      this.pinch = null;
+    }
+
+    if (e.pointerType === 'touch') {
+      if (this.isPenActive()) return;
+
+      this.touches.set(e.pointerId, this.canvasDrawing.getScreenCoordinates(e));
+      if (this.touches.size === 2) {
+        this.cancelInteraction();
+        this.startPinch();
+      }
+      if (this.touches.size > 1) return;
+    }
+
+    if (this.activePointer) return;
+
+    this.activePointer = { id: e.pointerId, type: e.pointerType };
+    this.canvas.setPointerCapture(e.pointerId);
+    this.startInteraction(e);
+  }
+
+  handlePointerMove(e) {
+    if (e.pointerType === 'pen') {
+      this.lastPenTime = performance.now();
+    }
+
+    if (this.touches.has(e.pointerId)) {
+      this.touches.set(e.pointerId, this.canvasDrawing.getScreenCoordinates(e));
+      if (this.pinch) {
+        this.updatePinch();
+        return;
+      }
+    }
+
+    if (this.activePointer && this.activePointer.id !== e.pointerId) return;
+    if (!this.activePointer && e.pointerType === 'touch') return;
+
+    this.updateInteraction(e);
+  }
+
+  handlePointerUp(e) {
+    if (e.pointerType === 'pen') {
+      this.lastPenTime = performance.now();
+    }
+
+    this.touches.delete(e.pointerId);
+    if (this.touches.size < 2) {
+      this.pinch = null;
+    }
+
+    if (!this.activePointer || this.activePointer.id !== e.pointerId) return;
+
+    this.activePointer = null;
+    this.endInteraction(e);
+  }
+
+  handlePointerCancel(e) {
+    this.touches.delete(e.pointerId);
+    if (this.touches.size < 2) {
+      this.pinch = null;
+    }
+
+    if (this.activePointer && this.activePointer.id === e.pointerId) {
+      this.cancelInteraction();
+    }
+  }
+
+  scheduleDrawFlush() {
+    if (this.drawFrame) return;
+
+    this.drawFrame = requestAnimationFrame(() => {
+      this.drawFrame = null;
+      this.flushDrawPoints();
+    });
+  }
+
+  flushDrawPoints() {
+    if (this.pendingDrawPoints.length === 0) return;
+
+    this.wsClient.sendDrawMove(this.currentStrokeId, this.pendingDrawPoints);
+    this.pendingDrawPoints = [];
+  }
+
+  startPinch() {
+    const [a, b] = Array.from(this.touches.values());
+    this.pinch = {
+      center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      distance: Math.hypot(b.x - a.x, b.y - a.y)
+    };
+  }
+
+  updatePinch() {
+    const previous = this.pinch;
+    this.startPinch();
+    const { center, distance } = this.pinch;
+
+    this.canvasDrawing.panBy(center.x - previous.center.x, center.y - previous.center.y);
+    if (previous.distance > 0 && distance > 0) {
+      this.canvasDrawing.zoomAt(center.x, center.y, distance / previous.distance);
+    }
+    this.onViewportChanged();
+  }
+
+  cancelInteraction() {
+    this.activePointer = null;
+
+    if (this.panning) {
+      this.panning = null;
+      this.canvas.style.cursor = this.getIdleCursor();
+    }
+
+    if (this.canvasDrawing.cancelDrawing()) {
+      this.pendingDrawPoints = [];
+      this.wsClient.sendDrawCancel(this.currentStrokeId);
+      this.currentStrokeId = null;
+      this.redrawBoard();
+    }
+
+    if (this.canvasDrawing.cancelShape()) {
+      this.wsClient.sendShapePreview(null);
+    }
+
+    if (this.selectionTool.drag) {
+      this.selectionTool.cancelDrag();
+      if (this.updateSelectionView()) {
+        this.redrawBoard();
+      }
+    }
+  }
+
+  startInteraction(e) {
+    if (this.pendingReaction && e.button === 0 && !this.spacePressed) {
+      e.preventDefault();
+      this.dropReaction(this.canvasDrawing.getCanvasCoordinates(e));
+      return;
+    }
+
+    if (e.button === 1 || (e.button === 0 && (this.spacePressed || !this.canEdit()))) {
+      e.preventDefault();
+      this.textEditor.commit();
+      this.panning = this.canvasDrawing.getScreenCoordinates(e);
+      this.canvas.style.cursor = 'grabbing';
+      return;
+    }
+
+    if (e.button !== 0) return;
+
     const coords = this.canvasDrawing.getCanvasCoordinates(e);
-    this.canvasDrawing.startDrawing(coords.x, coords.y);
+
+    if (this.textEditor.isOpen()) {
+      e.preventDefault();
+      this.textEditor.commit();
+      return;
+    }
+
+    if (this.currentTool === 'select') {
+      this.selectionTool.pointerDown(coords, this.boardState.getEditableOperations(), e.shiftKey);
+      this.updateSelectionView();
+      return;
+    }
+
+    if (this.currentTool === 'comment') {
+      e.preventDefault();
+      this.comments.openDraft(coords);
+      return;
+    }
+
+    if (!this.canDrawOnActiveLayer()) return;
+
+    if (this.currentTool === 'text' || this.currentTool === 'note') {
+      e.preventDefault();
+      this.openTextEditor({
+        type: this.currentTool,
+        x: coords.x,
+        y: coords.y,
+        text: '',
+        color: this.currentColor,
+        fontSize: this.currentFontSize,
+        layerId: this.activeLayerId,
+        targetId: null
+      });
+      return;
+    }
+
+    if (SHAPE_TOOLS.includes(this.currentTool)) {
+      this.canvasDrawing.startShape(coords.x, coords.y);
+      return;
+    }
+
+    const pressure = this.getPressure(e);
+    this.canvasDrawing.startDrawing(coords.x, coords.y, pressure);
+    this.currentStrokeId = this.boardState.createId();
 
     this.wsClient.sendDrawStart(
+      this.currentStrokeId,
       coords.x,
       coords.y,
       this.currentTool,
       this.currentColor,
-      this.currentLineWidth
+      this.currentLineWidth,
+      pressure,
+      this.activeLayerId
     );
   }
 
-  handleMouseMove(e) {
+  updateInteraction(e) {
+    if (this.panning) {
+      const screen = this.canvasDrawing.getScreenCoordinates(e);
+      this.canvasDrawing.panBy(screen.x - this.panning.x, screen.y - this.panning.y);
+      this.panning = screen;
+      this.onViewportChanged();
+      return;
+    }
+
     const coords = this.canvasDrawing.getCanvasCoordinates(e);
 
-    if (this.canvasDrawing.isDrawing) {
-      this.canvasDrawing.draw(coords.x, coords.y);
+    if (this.selectionTool.drag) {
+      this.selectionTool.pointerMove(coords);
+      if (this.updateSelectionView()) {
+        this.redrawBoard();
+      }
+    } else if (this.canvasDrawing.currentShape) {
+      const shape = this.canvasDrawing.updateShape(coords.x, coords.y);
 
       if (!this.drawThrottle) {
-        this.wsClient.sendDrawMove(
-          coords.x,
-          coords.y,
-          this.currentTool,
-          this.currentColor,
-          this.currentLineWidth
-        );
+        this.wsClient.sendShapePreview(shape);
 
         this.drawThrottle = setTimeout(() => {
           this.drawThrottle = null;
         }, 16);
       }
+    } else if (this.canvasDrawing.isDrawing) {
+      const events = e.getCoalescedEvents && e.getCoalescedEvents().length > 0 ? e.getCoalescedEvents() : [e];
+      events.forEach(event => {
+        const point = this.canvasDrawing.getCanvasCoordinates(event);
+        this.pendingDrawPoints.push(this.canvasDrawing.draw(point.x, point.y, this.getPressure(event)));
+      });
+      this.scheduleDrawFlush();
     }
 
     if (!this.cursorThrottle) {
@@ -215,50 +1019,643 @@ class CollaborativeCanvas {
     }
   }
 
-  handleMouseUp(e) {
-    if (this.canvasDrawing.stopDrawing()) {
-      const coords = this.canvasDrawing.getCanvasCoordinates(e);
+  endInteraction(e) {
+    if (this.panning) {
+      this.panning = null;
+      this.canvas.style.cursor = this.getIdleCursor();
+      return;
+    }
+
+    const coords = this.canvasDrawing.getCanvasCoordinates(e);
+
+    if (this.selectionTool.drag) {
+      const action = this.selectionTool.pointerUp(coords, this.boardState.getEditableOperations());
+      if (action) {
+        this.wsClient.sendUpdates(this.boardState.getVisibleOperations()
+          .filter(op => action.ids.includes(op.id))
+          .map(op => this.boardState.updateObject(op.id, { transform: multiply(action.matrix, op.transform || IDENTITY) })));
+      }
+      if (this.updateSelectionView()) {
+        this.redrawBoard();
+      }
+      return;
+    }
+
+    if (this.canvasDrawing.currentShape) {
+      const shape = this.canvasDrawing.finishShape(coords.x, coords.y);
+      if (shape) {
+        this.wsClient.sendUpdates([this.boardState.createObject(shape)]);
+      } else {
+        this.wsClient.sendShapePreview(null);
+      }
+      return;
+    }
+
+    if (this.canvasDrawing.isDrawing) {
+      const last = this.canvasDrawing.currentPath[this.canvasDrawing.currentPath.length - 1];
+      if (last.x !== coords.x || last.y !== coords.y) {
+        this.pendingDrawPoints.push(this.canvasDrawing.draw(coords.x, coords.y, this.getPressure(e)));
+      }
+      this.flushDrawPoints();
+
+      const stroke = this.canvasDrawing.stopDrawing();
+      this.wsClient.sendUpdates([this.boardState.createObject({
+        type: 'stroke',
+        tool: stroke.tool,
+        color: stroke.color,
+        lineWidth: stroke.lineWidth,
+        layerId: stroke.layerId,
+        points: simplifyPoints(stroke.points)
+      }, this.currentStrokeId)]);
+      this.currentStrokeId = null;
+    }
+  }
+
+  handleWheel(e) {
+    e.preventDefault();
+    this.stopFollowing();
+
+    const screen = this.canvasDrawing.getScreenCoordinates(e);
+    const sensitivity = e.ctrlKey ? 0.01 : 0.0015;
+    if (this.canvasDrawing.zoomAt(screen.x, screen.y, Math.exp(-e.deltaY * sensitivity))) {
+      this.onViewportChanged();
+    }
+  }
+
+  zoomAtCenter(factor) {
+    this.stopFollowing();
+    this.canvasDrawing.zoomAt(this.canvas.width / 2, this.canvas.height / 2, factor);
+    this.onViewportChanged();
+  }
 
-      this.wsClient.sendDrawEnd(
-        coords.x,
-        coords.y,
-        this.currentTool,
-        this.currentColor,
-        this.currentLineWidth
-      );
+  onViewportChanged() {
+    this.textEditor.commit();
+    this.selectionTool.setScale(this.canvasDrawing.viewport.scale);
+    this.updateSelectionView();
+    this.redrawBoard();
+    this.canvasDrawing.renderPreview();
+    this.repositionRemoteCursors();
+    this.repositionReactions();
+    this.comments.reposition();
+    this.updateEdgeIndicators();
+    this.scheduleViewportBroadcast();
+    if (this.playback.isActive()) {
+      this.playback.setViewport(this.canvasDrawing.viewport);
+    }
+
+    document.getElementById('zoom-level').textContent = `${Math.round(this.canvasDrawing.viewport.scale * 100)}%`;
+  }
+
+  handleDoubleClick(e) {
+    if ((this.currentTool !== 'text' && this.currentTool !== 'note') || !this.canEdit()) return;
+
+    const coords = this.canvasDrawing.getCanvasCoordinates(e);
+    const target = this.canvasDrawing.hitTestText(this.boardState.getEditableOperations(), coords.x, coords.y, this.currentTool);
+    if (!target) return;
+
+    this.textEditor.cancel();
+    this.canvasDrawing.setLocalEditTarget(target.id);
+    this.redrawBoard();
+
+    this.openTextEditor({
+      type: target.type,
+      x: target.x,
+      y: target.y,
+      text: target.text,
+      color: target.color,
+      fontSize: target.fontSize,
+      transform: target.transform,
+      targetId: target.id
+    });
+  }
+
+  openTextEditor(target) {
+    this.textEditor.open(target, {
+      onInput: (value) => {
+        if (this.textPreviewThrottle) return;
+
+        this.textPreviewThrottle = setTimeout(() => {
+          this.textPreviewThrottle = null;
+          if (this.textEditor.isOpen()) {
+            this.wsClient.sendTextPreview(this.textEditor.getValue());
+          }
+        }, 50);
+      },
+      onCommit: (value) => {
+        const original = value.targetId ? this.boardState.operations.find(op => op.id === value.targetId) : null;
+        const changed = !original || original.text !== value.text;
+
+        if (value.text.trim() === '' || !changed) {
+          this.finishTextEdit();
+          return;
+        }
+
+        this.canvasDrawing.setLocalEditTarget(null);
+        this.canvasDrawing.addPendingText(value);
+
+        this.wsClient.sendUpdates([value.targetId
+          ? this.boardState.updateObject(value.targetId, { text: value.text })
+          : this.boardState.createObject({
+            type: value.type,
+            text: value.text,
+            x: value.x,
+            y: value.y,
+            color: value.color,
+            fontSize: value.fontSize,
+            layerId: value.layerId
+          })]);
+      },
+      onCancel: () => this.finishTextEdit()
+    });
+  }
+
+  finishTextEdit() {
+    this.wsClient.sendTextPreview(null);
+    this.canvasDrawing.setLocalEditTarget(null);
+    this.redrawBoard();
+  }
+
+  setRoomAccess(roomId, access) {
+    const section = document.getElementById('room-access-section');
+    section.hidden = !access.private && !access.locked;
+
+    const labels = [];
+    if (access.private) labels.push(access.hasPassword ? 'Private, password protected' : 'Private, invite only');
+    if (access.locked) labels.push('Locked to listed users');
+    document.getElementById('room-access-status').textContent = labels.join(' · ');
+
+    const inviteButton = document.getElementById('copy-invite-btn');
+    inviteButton.hidden = !access.inviteToken;
+    this.inviteLink = access.inviteToken ? this.getInviteLink(roomId, access.inviteToken) : null;
+
+    const memberInvites = document.getElementById('member-invites');
+    memberInvites.innerHTML = '';
+    access.members.forEach(member => {
+      const button = document.createElement('button');
+      button.className = 'action-btn';
+      button.textContent = `Copy Link for ${member.username}`;
+      button.title = `Copy the personal invite link for ${member.username}`;
+      button.addEventListener('click', () => this.copyInviteLink(this.getInviteLink(roomId, member.inviteToken)));
+      memberInvites.appendChild(button);
+    });
+  }
+
+  getInviteLink(roomId, inviteToken) {
+    return `${window.location.origin}${window.location.pathname}?room=${encodeURIComponent(roomId)}&invite=${inviteToken}`;
+  }
+
+  async copyInviteLink(link) {
+    try {
+      await navigator.clipboard.writeText(link);
+    } catch (error) {
+      prompt('Copy this invite link:', link);
     }
   }
 
-  handleMouseLeave(e) {
-    this.handleMouseUp(e);
+  setUndoMode(undoMode) {
+    const scope = undoMode === 'global' ? 'last change in the room' : 'your last change';
+    document.getElementById('undo-btn').title = `Undo ${scope} (Ctrl+Z)`;
+    document.getElementById('redo-btn').title = `Redo ${scope} (Ctrl+Y)`;
   }
 
   selectTool(tool) {
     this.currentTool = tool;
     this.canvasDrawing.setTool(tool);
 
-    document.querySelectorAll('.tool-btn').forEach(btn => {
+    if (tool !== 'select') {
+      this.selectionTool.clear();
+    }
+    if (this.updateSelectionView()) {
+      this.redrawBoard();
+    }
+    this.canvas.style.cursor = this.getIdleCursor();
+
+    document.querySelectorAll('[data-tool]').forEach(btn => {
       btn.classList.remove('active');
     });
     document.querySelector(`[data-tool="${tool}"]`).classList.add('active');
   }
 
+  syncLayers() {
+    const layers = this.boardState.layers;
+    this.canvasDrawing.setLayers(layers);
+
+    if (this.pendingLayerId && this.boardState.getLayer(this.pendingLayerId)) {
+      this.activeLayerId = this.pendingLayerId;
+      this.pendingLayerId = null;
+    }
+    if (!this.boardState.getLayer(this.activeLayerId)) {
+      this.activeLayerId = layers[layers.length - 1].id;
+    }
+
+    this.selectLayer(this.activeLayerId);
+  }
+
+  selectLayer(layerId) {
+    this.activeLayerId = layerId;
+    this.canvasDrawing.setLayer(layerId);
+    this.canvas.style.cursor = this.getIdleCursor();
+    this.updateLayerList();
+  }
+
+  moveActiveLayer(step) {
+    const index = this.boardState.layers.findIndex(layer => layer.id === this.activeLayerId);
+    const target = index + step;
+    if (index === -1 || target < 0 || target >= this.boardState.layers.length) return;
+
+    this.updateLayer(this.activeLayerId, { position: this.boardState.getLayerPosition(this.activeLayerId, target) });
+  }
+
+  addLayer() {
+    const layers = this.boardState.layers;
+    const update = this.boardState.createObject({
+      type: 'layer',
+      name: `Layer ${layers.length + 1}`,
+      visible: true,
+      locked: false,
+      position: this.boardState.getLayerPosition(null, layers.length)
+    });
+
+    this.pendingLayerId = update.id;
+    this.wsClient.sendUpdates([update]);
+  }
+
+  updateLayer(id, changes) {
+    this.wsClient.sendUpdates([this.boardState.updateObject(id, changes)]);
+  }
+
+  renameLayer(layer) {
+    if (!this.canEdit()) return;
+
+    const name = prompt('Layer name:', layer.name);
+    if (name && name.trim() && name.trim() !== layer.name) {
+      this.updateLayer(layer.id, { name: name.trim() });
+    }
+  }
+
+  createLayerToggle(layer, key, label, title) {
+    const button = document.createElement('button');
+    button.className = 'layer-toggle';
+    button.textContent = label;
+    button.title = title;
+    button.disabled = !this.canEdit();
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.updateLayer(layer.id, { [key]: !layer[key] });
+    });
+    return button;
+  }
+
+  updateLayerList() {
+    const layerList = document.getElementById('layer-list');
+    layerList.innerHTML = '';
+
+    this.boardState.layers.slice().reverse().forEach(layer => {
+      const layerItem = document.createElement('div');
+      layerItem.className = `layer-item${layer.id === this.activeLayerId ? ' active' : ''}${layer.visible ? '' : ' hidden-layer'}`;
+      layerItem.addEventListener('click', () => this.selectLayer(layer.id));
+
+      const name = document.createElement('span');
+      name.className = 'layer-name';
+      name.textContent = layer.name;
+      name.title = 'Double-click to rename';
+      name.addEventListener('dblclick', () => this.renameLayer(layer));
+
+      layerItem.appendChild(this.createLayerToggle(layer, 'visible', layer.visible ? '\u25C9' : '\u25CB', layer.visible ? 'Hide layer' : 'Show layer'));
+      layerItem.appendChild(name);
+      layerItem.appendChild(this.createLayerToggle(layer, 'locked', layer.locked ? '\u{1F512}' : '\u{1F513}', layer.locked ? 'Unlock layer' : 'Lock layer'));
+      layerList.appendChild(layerItem);
+    });
+  }
+
+  isOnCurrentPage(userId) {
+    const user = this.users.get(userId);
+    return !user || !user.pageId || user.pageId === this.boardState.pageId;
+  }
+
+  isPresenting() {
+    return Boolean(this.presenter) && this.presenter.userId === this.userInfo.id;
+  }
+
+  choosePage(pageId) {
+    const followed = this.following !== null ? this.users.get(this.following) : null;
+    if (followed && followed.pageId !== pageId) {
+      this.stopFollowing();
+    }
+
+    const follow = document.getElementById('follow-presenter');
+    if (follow.checked && this.presenter && !this.isPresenting() && this.presenter.pageId !== pageId) {
+      follow.checked = false;
+    }
+    this.selectPage(pageId);
+  }
+
+  selectPage(pageId) {
+    this.pendingPageId = null;
+    if (pageId === this.boardState.pageId || !this.boardState.setPage(pageId)) return;
+
+    this.onPageChanged();
+  }
+
+  onPageChanged() {
+    this.textEditor.cancel();
+    this.cancelInteraction();
+    this.canvasDrawing.discardPending();
+    this.selectionTool.clear();
+    this.updateSelectionView();
+    this.users.forEach((user, userId) => {
+      if (!this.isOnCurrentPage(userId)) {
+        this.clearRemoteActivity(userId);
+      }
+    });
+
+    this.syncLayers();
+    this.redrawBoard();
+    this.updatePageList();
+    this.syncThreads();
+    this.updateEdgeIndicators();
+    this.wsClient.sendPageView(this.boardState.pageId);
+  }
+
+  syncThreads() {
+    this.comments.setThreads(this.boardState.threads, this.boardState.pageId);
+  }
+
+  createThread(position, text) {
+    const thread = this.boardState.createObject({
+      type: 'thread',
+      pageId: this.boardState.pageId,
+      x: position.x,
+      y: position.y,
+      resolved: false
+    });
+    this.wsClient.sendUpdates([thread, this.createComment(thread.id, text)]);
+    return thread.id;
+  }
+
+  createComment(threadId, text) {
+    return this.boardState.createObject({ type: 'comment', threadId, text });
+  }
+
+  jumpToThread(thread) {
+    this.stopFollowing();
+    this.choosePage(thread.pageId);
+    this.canvasDrawing.centerOn(thread);
+    this.onViewportChanged();
+    this.comments.open(thread.id);
+  }
+
+  setPresenter(presenter) {
+    const previous = this.presenter;
+    this.presenter = presenter || null;
+    if (previous && this.following === previous.userId && (!this.presenter || this.presenter.userId !== previous.userId)) {
+      this.following = null;
+      this.updateFollowing();
+    }
+
+    const presentButton = document.getElementById('present-btn');
+    presentButton.textContent = this.isPresenting() ? 'Stop presenting' : 'Present';
+    presentButton.classList.toggle('active', this.isPresenting());
+
+    const user = this.presenter && !this.isPresenting() ? this.users.get(this.presenter.userId) : null;
+    document.getElementById('presenter-status').textContent = user ? `${user.username} is presenting` : '';
+
+    this.followPresenter();
+    this.updatePageList();
+  }
+
+  followPresenter() {
+    if (!this.presenter || this.isPresenting()) return;
+
+    if (document.getElementById('follow-presenter').checked) {
+      this.followUser(this.presenter.userId);
+    } else if (this.following === this.presenter.userId) {
+      this.stopFollowing();
+    }
+  }
+
+  followUser(userId) {
+    if (this.following !== userId) {
+      this.following = userId;
+      this.updateFollowing();
+    }
+    this.jumpToUser(userId);
+  }
+
+  stopFollowing() {
+    if (this.following === null) return;
+
+    if (this.presenter && this.presenter.userId === this.following) {
+      document.getElementById('follow-presenter').checked = false;
+    }
+    this.following = null;
+    this.updateFollowing();
+  }
+
+  updateFollowing() {
+    const user = this.following !== null ? this.users.get(this.following) : null;
+    document.getElementById('follow-banner').hidden = !user;
+    document.getElementById('follow-banner-text').textContent = user ? `Following ${user.username}` : '';
+    document.querySelectorAll('#user-list .follow-btn').forEach(button => {
+      button.classList.toggle('active', Number(button.dataset.userId) === this.following);
+    });
+  }
+
+  jumpToUser(userId) {
+    const user = this.users.get(userId);
+    if (!user) return;
+
+    if (user.pageId) {
+      this.selectPage(user.pageId);
+    }
+    if (user.viewport) {
+      this.canvasDrawing.fitBounds(user.viewport);
+      this.onViewportChanged();
+    }
+  }
+
+  scheduleViewportBroadcast() {
+    if (this.viewportThrottle) return;
+
+    this.viewportThrottle = setTimeout(() => {
+      this.viewportThrottle = null;
+      this.wsClient.sendViewport(this.canvasDrawing.getVisibleBounds());
+    }, VIEWPORT_THROTTLE_MS);
+  }
+
+  addPage() {
+    const pages = this.boardState.pages;
+    const page = this.boardState.createObject({
+      type: 'page',
+      name: `Page ${pages.length + 1}`,
+      position: this.boardState.getPagePosition(null, pages.length)
+    });
+    const layer = this.boardState.createObject({
+      type: 'layer',
+      name: 'Layer 1',
+      visible: true,
+      locked: false,
+      position: 0,
+      pageId: page.id
+    });
+
+    this.pendingPageId = page.id;
+    this.pendingLayerId = layer.id;
+    this.wsClient.sendUpdates([page, layer]);
+  }
+
+  moveCurrentPage(step) {
+    const pageId = this.boardState.pageId;
+    const index = this.boardState.pages.findIndex(page => page.id === pageId);
+    const target = index + step;
+    if (index === -1 || target < 0 || target >= this.boardState.pages.length) return;
+
+    this.wsClient.sendUpdates([this.boardState.updateObject(pageId, { position: this.boardState.getPagePosition(pageId, target) })]);
+  }
+
+  renamePage(page) {
+    if (!this.canEdit()) return;
+
+    const name = prompt('Page name:', page.name);
+    if (name && name.trim() && name.trim() !== page.name) {
+      this.wsClient.sendUpdates([this.boardState.updateObject(page.id, { name: name.trim() })]);
+    }
+  }
+
+  updatePageList() {
+    const pageList = document.getElementById('page-list');
+    const pages = this.boardState.pages;
+    pageList.innerHTML = '';
+
+    pages.forEach((page, index) => {
+      const pageItem = document.createElement('div');
+      pageItem.className = `page-item${page.id === this.boardState.pageId ? ' active' : ''}`;
+      pageItem.dataset.pageId = page.id;
+      pageItem.addEventListener('click', () => this.choosePage(page.id));
+
+      const thumbnail = document.createElement('img');
+      thumbnail.className = 'page-thumbnail';
+      thumbnail.alt = '';
+
+      const name = document.createElement('span');
+      name.className = 'page-name';
+      name.textContent = `${index + 1}. ${page.name}`;
+      name.title = 'Double-click to rename';
+      name.addEventListener('dblclick', () => this.renamePage(page));
+
+      const viewers = document.createElement('div');
+      viewers.className = 'page-viewers';
+      this.users.forEach(user => {
+        if (user.id === this.userInfo.id || user.pageId !== page.id) return;
+
+        const viewer = document.createElement('span');
+        viewer.className = 'page-viewer';
+        viewer.style.backgroundColor = user.color;
+        viewer.title = user.username + (this.presenter && this.presenter.userId === user.id ? ' (presenting)' : '');
+        viewers.appendChild(viewer);
+      });
+
+      pageItem.appendChild(thumbnail);
+      pageItem.appendChild(name);
+      pageItem.appendChild(viewers);
+      pageList.appendChild(pageItem);
+    });
+
+    document.getElementById('page-delete-btn').disabled = this.role !== 'owner' || !this.canEdit() || pages.length <= 1;
+    this.showThumbnails();
+    this.scheduleThumbnails();
+  }
+
+  scheduleThumbnails() {
+    if (this.thumbnailTimer !== null) return;
+    this.thumbnailTimer = setTimeout(() => this.renderThumbnails(), THUMBNAIL_DELAY_MS);
+  }
+
+  renderThumbnails() {
+    this.thumbnailTimer = null;
+    const pages = this.boardState.pages;
+    this.thumbnails.forEach((src, id) => {
+      if (!pages.some(page => page.id === id)) {
+        this.thumbnails.delete(id);
+      }
+    });
+    pages.forEach(({ id }) => {
+      if (this.thumbnails.has(id) && !this.staleThumbnails.has(id)) return;
+
+      this.thumbnails.set(id, this.exporter.toThumbnail(
+        this.boardState.getPageOperations(id),
+        this.boardState.getPageLayers(id),
+        THUMBNAIL_WIDTH
+      ));
+    });
+    this.staleThumbnails.clear();
+    this.showThumbnails();
+  }
+
+  showThumbnails() {
+    document.querySelectorAll('#page-list .page-item').forEach(pageItem => {
+      const src = this.thumbnails.get(pageItem.dataset.pageId);
+      const thumbnail = pageItem.querySelector('.page-thumbnail');
+      if (src) {
+        thumbnail.src = src;
+      } else {
+        thumbnail.removeAttribute('src');
+      }
+    });
+  }
+
+  resetThumbnails() {
+    this.thumbnails.clear();
+    this.staleThumbnails.clear();
+  }
+
   selectColor(color) {
     this.currentColor = color;
     this.canvasDrawing.setColor(color);
 
+    if (this.currentTool === 'select' && this.canEdit()) {
+      const updates = this.selectionTool.getSelectedOperations(this.boardState.getEditableOperations())
+        .filter(op => op.color !== color)
+        .map(op => this.boardState.updateObject(op.id, { color }));
+      if (updates.length > 0) {
+        this.wsClient.sendUpdates(updates);
+      }
+    }
+
     document.querySelectorAll('.color-btn').forEach(btn => {
       btn.classList.remove('active');
     });
     document.querySelector(`[data-color="${color}"]`).classList.add('active');
   }
 
+  createRoleControl(user) {
+    if (this.role !== 'owner' || user.role === 'owner' || user.id === this.userInfo.id) {
+      const badge = document.createElement('span');
+      badge.className = `user-role ${user.role}`;
+      badge.textContent = user.role;
+      return badge;
+    }
+
+    const select = document.createElement('select');
+    select.className = 'role-select';
+    ['editor', 'viewer'].forEach(role => {
+      const option = document.createElement('option');
+      option.value = role;
+      option.textContent = role;
+      option.selected = user.role === role;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => this.wsClient.sendSetRole(user.id, select.value));
+    return select;
+  }
+
   updateUserList(users) {
     const userList = document.getElementById('user-list');
     const userCount = document.getElementById('user-count');
 
     userList.innerHTML = '';
 
+    this.chat.setUsers(users);
     users.forEach(user => {
       this.users.set(user.id, user);
 
@@ -270,22 +1667,47 @@ class CollaborativeCanvas {
       colorDot.style.backgroundColor = user.color;
 
       const username = document.createElement('span');
+      username.className = 'user-name';
       username.textContent = user.username + (user.id === this.userInfo.id ? ' (You)' : '');
 
       userItem.appendChild(colorDot);
       userItem.appendChild(username);
+
+      if (user.id !== this.userInfo.id) {
+        username.classList.add('jumpable');
+        username.title = `Jump to ${user.username}'s view`;
+        username.addEventListener('click', () => {
+          this.stopFollowing();
+          this.jumpToUser(user.id);
+        });
+
+        const followButton = document.createElement('button');
+        followButton.className = 'follow-btn';
+        followButton.dataset.userId = String(user.id);
+        followButton.textContent = '\u{1F441}';
+        followButton.title = `Follow ${user.username}`;
+        followButton.addEventListener('click', () => {
+          if (this.following === user.id) {
+            this.stopFollowing();
+          } else {
+            this.followUser(user.id);
+          }
+        });
+        userItem.appendChild(followButton);
+      }
+
+      userItem.appendChild(this.createRoleControl(user));
       userList.appendChild(userItem);
     });
 
     userCount.textContent = `Users: ${users.length}`;
+    this.updateFollowing();
+    this.updateEdgeIndicators();
   }
 
   updateRemoteCursor(userId, x, y) {
     if (userId === this.userInfo.id) return;
 
-    const overlay = document.getElementById('cursors-overlay');
-    const canvasRect = this.canvas.getBoundingClientRect();
-
     let cursor = this.remoteCursors.get(userId);
 
     if (!cursor) {
@@ -302,24 +1724,153 @@ class CollaborativeCanvas {
       }
 
       cursor.appendChild(label);
-      overlay.appendChild(cursor);
+      document.getElementById('cursors-overlay').appendChild(cursor);
       this.remoteCursors.set(userId, cursor);
     }
 
-    const offsetX = canvasRect.left - overlay.getBoundingClientRect().left;
-    const offsetY = canvasRect.top - overlay.getBoundingClientRect().top;
+    this.remoteCursorPositions.set(userId, { x, y });
+    this.positionRemoteCursor(userId);
+  }
+
+  positionRemoteCursor(userId) {
+    const cursor = this.remoteCursors.get(userId);
+    const position = this.remoteCursorPositions.get(userId);
+    if (!cursor || !position) return;
 
-    cursor.style.left = `${x + offsetX}px`;
-    cursor.style.top = `${y + offsetY}px`;
+    const screen = this.toOverlayPoint(position);
+    cursor.style.left = `${screen.x}px`;
+    cursor.style.top = `${screen.y}px`;
   }
 
-  removeRemoteCursor(userId) {
+  toOverlayPoint(point) {
+    const overlay = document.getElementById('cursors-overlay');
+    const canvasRect = this.canvas.getBoundingClientRect();
+    const overlayRect = overlay.getBoundingClientRect();
+    const screen = this.canvasDrawing.worldToScreen(point);
+
+    return { x: screen.x + canvasRect.left - overlayRect.left, y: screen.y + canvasRect.top - overlayRect.top };
+  }
+
+  repositionRemoteCursors() {
+    this.remoteCursors.forEach((cursor, userId) => this.positionRemoteCursor(userId));
+  }
+
+  hideRemoteCursor(userId) {
     const cursor = this.remoteCursors.get(userId);
     if (cursor) {
       cursor.remove();
       this.remoteCursors.delete(userId);
+      this.remoteCursorPositions.delete(userId);
     }
+  }
+
+  selectReaction(emoji) {
+    this.pendingReaction = emoji;
+    document.querySelectorAll('.reaction-btn').forEach(button => {
+      button.classList.toggle('active', button.dataset.reaction === emoji);
+    });
+    this.canvas.style.cursor = this.getIdleCursor();
+  }
+
+  dropReaction(point) {
+    this.wsClient.sendReaction(this.pendingReaction, point.x, point.y);
+    this.showReaction(this.pendingReaction, point);
+    this.selectReaction(null);
+  }
+
+  showReaction(emoji, point) {
+    const element = document.createElement('div');
+    element.className = 'reaction';
+    element.textContent = emoji;
+    element.style.animationDuration = `${REACTION_DURATION_MS}ms`;
+    document.getElementById('cursors-overlay').appendChild(element);
+
+    const reaction = { element, x: point.x, y: point.y };
+    this.reactions.add(reaction);
+    this.positionReaction(reaction);
+
+    setTimeout(() => {
+      element.remove();
+      this.reactions.delete(reaction);
+    }, REACTION_DURATION_MS);
+  }
+
+  positionReaction({ element, x, y }) {
+    const screen = this.toOverlayPoint({ x, y });
+    element.style.left = `${screen.x}px`;
+    element.style.top = `${screen.y}px`;
+  }
+
+  repositionReactions() {
+    this.reactions.forEach(reaction => this.positionReaction(reaction));
+  }
+
+  removeRemoteCursor(userId) {
+    this.hideRemoteCursor(userId);
     this.users.delete(userId);
+    if (this.following === userId) {
+      this.following = null;
+      this.updateFollowing();
+    }
+    this.updateEdgeIndicators();
+  }
+
+  updateEdgeIndicators() {
+    const overlay = document.getElementById('cursors-overlay');
+    const canvasRect = this.canvas.getBoundingClientRect();
+    const overlayRect = overlay.getBoundingClientRect();
+    const shown = new Set();
+
+    this.users.forEach(user => {
+      if (user.id === this.userInfo.id || !user.viewport || !this.isOnCurrentPage(user.id)) return;
+
+      const center = this.canvasDrawing.worldToScreen({
+        x: user.viewport.x + user.viewport.width / 2,
+        y: user.viewport.y + user.viewport.height / 2
+      });
+      if (center.x >= 0 && center.x <= canvasRect.width && center.y >= 0 && center.y <= canvasRect.height) return;
+
+      let indicator = this.edgeIndicators.get(user.id);
+      if (!indicator) {
+        indicator = document.createElement('button');
+        indicator.className = 'edge-indicator';
+        indicator.innerHTML = '<span class="edge-arrow">\u2192</span><span class="edge-name"></span>';
+        indicator.addEventListener('click', () => {
+          this.stopFollowing();
+          this.jumpToUser(user.id);
+        });
+        overlay.appendChild(indicator);
+        this.edgeIndicators.set(user.id, indicator);
+      }
+
+      indicator.style.backgroundColor = user.color;
+      indicator.title = `Jump to ${user.username}`;
+      indicator.querySelector('.edge-name').textContent = user.username;
+
+      const halfWidth = indicator.offsetWidth / 2 + EDGE_MARGIN;
+      const halfHeight = indicator.offsetHeight / 2 + EDGE_MARGIN;
+      const x = Math.min(Math.max(center.x, halfWidth), canvasRect.width - halfWidth);
+      const y = Math.min(Math.max(center.y, halfHeight), canvasRect.height - halfHeight);
+      indicator.querySelector('.edge-arrow').style.transform = `rotate(${Math.atan2(center.y - y, center.x - x)}rad)`;
+      indicator.style.left = `${x + canvasRect.left - overlayRect.left}px`;
+      indicator.style.top = `${y + canvasRect.top - overlayRect.top}px`;
+      shown.add(user.id);
+    });
+
+    this.edgeIndicators.forEach((indicator, userId) => {
+      if (!shown.has(userId)) {
+        indicator.remove();
+        this.edgeIndicators.delete(userId);
+      }
+    });
+  }
+
+  clearRemoteActivity(userId) {
+    this.hideRemoteCursor(userId);
+    const cancelled = this.canvasDrawing.cancelRemotePath(null, userId);
+    if (this.canvasDrawing.setRemotePreview(userId, null) || cancelled) {
+      this.redrawBoard();
+    }
   }
 }
 
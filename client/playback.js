@@ -0,0 +1,151 @@
+import { CanvasDrawing } from './canvas.js';
+import { BoardState } from './board-state.js';
+import { BoardDocument } from '../shared/crdt.js';
+
+const MAX_GAP_MS = 1000;
+
+export class Playback {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.drawing = new CanvasDrawing(canvas, canvas);
+    this.state = new BoardState();
+    this.base = null;
+    this.entries = [];
+    this.offsets = [];
+    this.applied = 0;
+    this.pageId = null;
+    this.duration = 0;
+    this.position = 0;
+    this.speed = 1;
+    this.playing = false;
+    this.frame = null;
+    this.lastFrameTime = null;
+    this.onChange = null;
+  }
+
+  isActive() {
+    return !this.canvas.hidden;
+  }
+
+  start({ base, entries }, pageId, viewport) {
+    this.base = base;
+    this.entries = entries;
+    this.pageId = pageId;
+    this.applied = 0;
+    this.state.document = BoardDocument.fromJSON(base);
+
+    let offset = 0;
+    let previous = entries.length > 0 ? entries[0].time - MAX_GAP_MS : 0;
+    this.offsets = entries.map(({ time }) => {
+      offset += Math.min(MAX_GAP_MS, Math.max(0, time - previous));
+      previous = time;
+      return offset;
+    });
+    this.duration = offset;
+
+    this.canvas.hidden = false;
+    this.drawing.resize();
+    this.drawing.setViewport(viewport);
+    this.seek(this.duration);
+  }
+
+  stop() {
+    this.pause();
+    this.canvas.hidden = true;
+    this.base = null;
+    this.entries = [];
+    this.offsets = [];
+    this.state.document = new BoardDocument();
+  }
+
+  getEntryCount(position = this.position) {
+    let count = 0;
+    while (count < this.offsets.length && this.offsets[count] <= position) {
+      count++;
+    }
+    return count;
+  }
+
+  getTimestamp() {
+    const count = this.getEntryCount();
+    return count > 0 ? this.entries[count - 1].time : null;
+  }
+
+  replayTo(position) {
+    const count = this.getEntryCount(position);
+    if (count < this.applied) {
+      this.state.document = BoardDocument.fromJSON(this.base);
+      this.applied = 0;
+    }
+    for (; this.applied < count; this.applied++) {
+      this.entries[this.applied].updates.forEach(update => this.state.document.applyUpdate(update));
+    }
+  }
+
+  seek(position) {
+    this.position = Math.min(this.duration, Math.max(0, position));
+    this.render();
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  play() {
+    if (this.playing) return;
+    if (this.position >= this.duration) {
+      this.position = 0;
+    }
+
+    this.playing = true;
+    this.lastFrameTime = null;
+    this.frame = requestAnimationFrame(time => this.tick(time));
+    this.render();
+  }
+
+  pause() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    if (this.playing) {
+      this.playing = false;
+      this.render();
+    }
+  }
+
+  tick(time) {
+    const elapsed = this.lastFrameTime === null ? 0 : time - this.lastFrameTime;
+    this.lastFrameTime = time;
+    this.position = Math.min(this.duration, this.position + elapsed * this.speed);
+
+    if (this.position >= this.duration) {
+      this.frame = null;
+      this.playing = false;
+    } else {
+      this.frame = requestAnimationFrame(next => this.tick(next));
+    }
+    this.render();
+  }
+
+  setViewport(viewport) {
+    this.drawing.setViewport(viewport);
+    this.render();
+  }
+
+  resize() {
+    this.drawing.resize();
+    this.render();
+  }
+
+  render() {
+    if (!this.isActive()) return;
+
+    this.replayTo(this.position);
+    this.drawing.setLayers(this.state.getPageLayers(this.pageId));
+    this.drawing.redrawFromOperations(this.state.getPageOperations(this.pageId));
+    if (this.onChange) {
+      this.onChange(this);
+    }
+  }
+}
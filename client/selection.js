@@ -0,0 +1,235 @@
+import {
+  IDENTITY,
+  applyToPoint,
+  containsPoint,
+  getBounds,
+  hitTest,
+  rotation,
+  scaling,
+  translation,
+  unionBounds
+} from '../shared/geometry.js';
+
+const HANDLE_RADIUS = 6;
+const ROTATE_HANDLE_OFFSET = 24;
+
+export class SelectionTool {
+  constructor(measureText) {
+    this.measureText = measureText;
+    this.selectedIds = new Set();
+    this.drag = null;
+    this.pendingMatrix = null;
+    this.scale = 1;
+  }
+
+  setScale(scale) {
+    this.scale = scale;
+  }
+
+  isSelectable(operation) {
+    return operation.tool !== 'eraser';
+  }
+
+  getSelectedOperations(operations) {
+    return operations.filter(op => this.selectedIds.has(op.id));
+  }
+
+  getSelectionBounds(operations) {
+    return unionBounds(this.getSelectedOperations(operations).map(op => getBounds(op, this.measureText)));
+  }
+
+  getHandles(bounds) {
+    const { x, y, width, height } = bounds;
+    return {
+      corners: [
+        { x: x, y: y, anchor: { x: x + width, y: y + height } },
+        { x: x + width, y: y, anchor: { x: x, y: y + height } },
+        { x: x + width, y: y + height, anchor: { x: x, y: y } },
+        { x: x, y: y + height, anchor: { x: x + width, y: y } }
+      ],
+      rotate: { x: x + width / 2, y: y - ROTATE_HANDLE_OFFSET / this.scale }
+    };
+  }
+
+  getMatrix() {
+    if (this.drag && this.drag.matrix) return this.drag.matrix;
+    return this.pendingMatrix || IDENTITY;
+  }
+
+  getMarquee() {
+    if (!this.drag || this.drag.mode !== 'marquee') return null;
+
+    const { start, current } = this.drag;
+    return {
+      x: Math.min(start.x, current.x),
+      y: Math.min(start.y, current.y),
+      width: Math.abs(current.x - start.x),
+      height: Math.abs(current.y - start.y)
+    };
+  }
+
+  pointerDown(point, operations, additive) {
+    const bounds = this.getSelectionBounds(operations);
+
+    if (bounds && !additive) {
+      const handles = this.getHandles(bounds);
+
+      const radius = HANDLE_RADIUS / this.scale;
+
+      if (Math.hypot(point.x - handles.rotate.x, point.y - handles.rotate.y) <= radius) {
+        const center = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+        this.drag = { mode: 'rotate', center, startAngle: Math.atan2(point.y - center.y, point.x - center.x), matrix: null };
+        return;
+      }
+
+      const corner = handles.corners.find(c => Math.hypot(point.x - c.x, point.y - c.y) <= radius);
+      if (corner) {
+        this.drag = { mode: 'scale', anchor: corner.anchor, start: { x: corner.x, y: corner.y }, matrix: null };
+        return;
+      }
+
+      if (containsPoint(bounds, point)) {
+        this.drag = { mode: 'move', start: point, matrix: null };
+        return;
+      }
+    }
+
+    const hit = this.findTopmost(operations, point);
+
+    if (hit) {
+      if (additive) {
+        if (this.selectedIds.has(hit.id)) {
+          this.selectedIds.delete(hit.id);
+        } else {
+          this.selectedIds.add(hit.id);
+        }
+      } else if (!this.selectedIds.has(hit.id)) {
+        this.selectedIds = new Set([hit.id]);
+      }
+      this.drag = { mode: 'move', start: point, matrix: null };
+      return;
+    }
+
+    if (!additive) {
+      this.selectedIds.clear();
+    }
+    this.drag = { mode: 'marquee', start: point, current: point };
+  }
+
+  pointerMove(point) {
+    const drag = this.drag;
+    if (!drag) return;
+
+    switch (drag.mode) {
+      case 'marquee':
+        drag.current = point;
+        break;
+      case 'move':
+        drag.matrix = translation(point.x - drag.start.x, point.y - drag.start.y);
+        break;
+      case 'scale': {
+        const sx = drag.start.x === drag.anchor.x ? 1 : (point.x - drag.anchor.x) / (drag.start.x - drag.anchor.x);
+        const sy = drag.start.y === drag.anchor.y ? 1 : (point.y - drag.anchor.y) / (drag.start.y - drag.anchor.y);
+        drag.matrix = scaling(sx || 0.01, sy || 0.01, drag.anchor);
+        break;
+      }
+      case 'rotate': {
+        const angle = Math.atan2(point.y - drag.center.y, point.x - drag.center.x) - drag.startAngle;
+        drag.matrix = rotation(angle, drag.center);
+        break;
+      }
+    }
+  }
+
+  pointerUp(point, operations) {
+    this.pointerMove(point);
+
+    const drag = this.drag;
+    this.drag = null;
+    if (!drag) return null;
+
+    if (drag.mode === 'marquee') {
+      const marquee = {
+        x: Math.min(drag.start.x, drag.current.x),
+        y: Math.min(drag.start.y, drag.current.y),
+        width: Math.abs(drag.current.x - drag.start.x),
+        height: Math.abs(drag.current.y - drag.start.y)
+      };
+
+      operations.forEach(op => {
+        if (!this.isSelectable(op)) return;
+
+        const b = getBounds(op, this.measureText);
+        if (b.x >= marquee.x && b.y >= marquee.y &&
+          b.x + b.width <= marquee.x + marquee.width && b.y + b.height <= marquee.y + marquee.height) {
+          this.selectedIds.add(op.id);
+        }
+      });
+      return null;
+    }
+
+    if (!drag.matrix || drag.matrix.every((value, i) => value === IDENTITY[i])) return null;
+
+    this.pendingMatrix = drag.matrix;
+    return { ids: Array.from(this.selectedIds), matrix: drag.matrix };
+  }
+
+  findTopmost(operations, point) {
+    for (let i = operations.length - 1; i >= 0; i--) {
+      const operation = operations[i];
+      if (this.isSelectable(operation) && hitTest(operation, point, this.measureText, 4 / this.scale)) {
+        return operation;
+      }
+    }
+    return null;
+  }
+
+  resolvePending(updatedIds) {
+    if (this.pendingMatrix && updatedIds.some(id => this.selectedIds.has(id))) {
+      this.pendingMatrix = null;
+      return true;
+    }
+    return false;
+  }
+
+  retain(operations) {
+    const visibleIds = new Set(operations.map(op => op.id));
+    this.selectedIds.forEach(id => {
+      if (!visibleIds.has(id)) this.selectedIds.delete(id);
+    });
+  }
+
+  hasSelection() {
+    return this.selectedIds.size > 0;
+  }
+
+  cancelDrag() {
+    this.drag = null;
+  }
+
+  clear() {
+    this.selectedIds.clear();
+    this.drag = null;
+    this.pendingMatrix = null;
+  }
+
+  getView(operations) {
+    const selected = this.getSelectedOperations(operations);
+    const bounds = this.getSelectionBounds(operations);
+    const matrix = this.getMatrix();
+
+    return {
+      operations: selected,
+      matrix: matrix,
+      transforming: matrix !== IDENTITY,
+      outline: bounds ? [
+        { x: bounds.x, y: bounds.y },
+        { x: bounds.x + bounds.width, y: bounds.y },
+        { x: bounds.x + bounds.width, y: bounds.y + bounds.height },
+        { x: bounds.x, y: bounds.y + bounds.height }
+      ].map(p => applyToPoint(matrix, p)) : null,
+      rotateHandle: bounds ? applyToPoint(matrix, this.getHandles(bounds).rotate) : null,
+      marquee: this.getMarquee()
+    };
+  }
+}
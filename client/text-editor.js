@@ -0,0 +1,112 @@
+import { applyToPoint } from '../shared/geometry.js';
+import { NOTE_MIN_SIZE, NOTE_PADDING, getNoteTextColor } from '../shared/notes.js';
+
+export class TextEditor {
+  constructor(container, canvasDrawing) {
+    this.container = container;
+    this.canvasDrawing = canvasDrawing;
+    this.textarea = null;
+    this.target = null;
+    this.callbacks = null;
+  }
+
+  open(target, callbacks) {
+    this.cancel();
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'text-editor';
+    const origin = this.canvasDrawing.worldToScreen(target.transform ? applyToPoint(target.transform, target) : target);
+    const scale = this.canvasDrawing.viewport.scale;
+
+    textarea.value = target.text || '';
+    textarea.style.left = `${origin.x + 2}px`;
+    textarea.style.top = `${origin.y + 2}px`;
+    textarea.style.fontSize = `${target.fontSize * scale}px`;
+    textarea.style.color = target.color;
+    textarea.spellcheck = false;
+
+    if (target.type === 'note') {
+      textarea.classList.add('note-editor');
+      textarea.style.left = `${origin.x}px`;
+      textarea.style.top = `${origin.y}px`;
+      textarea.style.padding = `${NOTE_PADDING * scale}px`;
+      textarea.style.minWidth = textarea.style.minHeight = `${NOTE_MIN_SIZE * scale}px`;
+      textarea.style.backgroundColor = target.color;
+      textarea.style.color = getNoteTextColor(target.color);
+    }
+
+    textarea.addEventListener('input', () => {
+      this.autosize();
+      this.callbacks.onInput(this.getValue());
+    });
+
+    textarea.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.cancel();
+      } else if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.commit();
+      }
+    });
+
+    textarea.addEventListener('blur', () => {
+      if (this.textarea === textarea) {
+        this.commit();
+      }
+    });
+
+    this.textarea = textarea;
+    this.target = target;
+    this.callbacks = callbacks;
+
+    this.container.appendChild(textarea);
+    this.autosize();
+    textarea.focus();
+  }
+
+  autosize() {
+    const lines = this.textarea.value.split('\n');
+    this.textarea.rows = lines.length;
+    this.textarea.cols = Math.max(4, ...lines.map(line => line.length + 1));
+  }
+
+  getValue() {
+    return {
+      ...this.target,
+      type: this.target.type || 'text',
+      text: this.textarea.value
+    };
+  }
+
+  isOpen() {
+    return this.textarea !== null;
+  }
+
+  commit() {
+    if (!this.textarea) return;
+
+    const value = this.getValue();
+    const callbacks = this.teardown();
+    callbacks.onCommit(value);
+  }
+
+  cancel() {
+    if (!this.textarea) return;
+
+    const callbacks = this.teardown();
+    callbacks.onCancel();
+  }
+
+  teardown() {
+    const textarea = this.textarea;
+    const callbacks = this.callbacks;
+
+    this.textarea = null;
+    this.target = null;
+    this.callbacks = null;
+    textarea.remove();
+
+    return callbacks;
+  }
+}
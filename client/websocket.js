@@ -1,23 +1,51 @@
+import { BINARY_PROTOCOL_VERSION, decodeServerMessage, encodeClientMessage } from '../shared/wire.js';
+
+const QUEUED_WHILE_OFFLINE = ['update'];
+const MAX_OFFLINE_QUEUE = 10000;
+
 export class WebSocketClient {
   constructor() {
     this.ws = null;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
-    this.reconnectDelay = 2000;
+    this.reconnectDelay = 1000;
+    this.maxReconnectDelay = 30000;
+    this.reconnectTimer = null;
     this.handlers = new Map();
     this.connected = false;
     this.userId = null;
     this.roomId = null;
+    this.username = null;
+    this.options = {};
+    this.sessionToken = null;
+    this.offlineQueue = [];
+    this.resumePending = false;
+    this.joinRejected = false;
+    this.binary = false;
+  }
+
+  connect(roomId, username, options = {}) {
+    this.roomId = roomId;
+    this.username = username;
+    this.options = options;
+    this.joinRejected = false;
+    if (options.sessionToken) {
+      this.sessionToken = options.sessionToken;
+    }
+    return this.open();
   }
 
-  connect(roomId, username) {
+  open() {
     return new Promise((resolve, reject) => {
       try {
         const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
         const wsUrl = `${protocol}//${window.location.host}`;
+        const resuming = Boolean(this.sessionToken) && this.userId !== null;
+        this.resumePending = resuming;
 
         this.ws = new WebSocket(wsUrl);
-        this.roomId = roomId;
+        this.ws.binaryType = 'arraybuffer';
+        this.binary = false;
 
         this.ws.onopen = () => {
           this.connected = true;
@@ -26,17 +54,47 @@ export class WebSocketClient {
 
           this.send({
             type: 'join',
-            roomId: roomId,
-            username: username
+            roomId: this.roomId,
+            username: this.username,
+            undoMode: this.options.undoMode,
+            password: this.options.password,
+            inviteToken: this.options.inviteToken,
+            access: this.options.access,
+            sessionToken: this.sessionToken,
+            clientId: this.options.clientId,
+            stateVector: resuming && this.options.getStateVector ? this.options.getStateVector() : undefined,
+            binaryVersion: BINARY_PROTOCOL_VERSION
           });
         };
 
         this.ws.onmessage = (event) => {
           try {
+            if (event.data instanceof ArrayBuffer) {
+              const message = decodeServerMessage(event.data);
+              if (message) {
+                this.handleMessage(message);
+              }
+              return;
+            }
+
             const message = JSON.parse(event.data);
 
+            if (message.type === 'join-error') {
+              this.joinRejected = true;
+              this.ws.close();
+              reject(new Error(message.message));
+            }
+
             if (message.type === 'joined') {
               this.userId = message.userId;
+              this.sessionToken = message.sessionToken;
+              this.binary = message.binaryVersion === BINARY_PROTOCOL_VERSION;
+
+              if (resuming) {
+                this.handleMessage(message);
+                this.flushOfflineQueue();
+                return;
+              }
               resolve(message);
             }
 
@@ -54,15 +112,12 @@ export class WebSocketClient {
 
         this.ws.onclose = () => {
           this.connected = false;
+          if (this.joinRejected) return;
+
           this.emit('connection-status', { connected: false });
 
-          if (this.reconnectAttempts < this.maxReconnectAttempts) {
-            setTimeout(() => {
-              this.reconnectAttempts++;
-              this.connect(this.roomId, username).catch(err => {
-                console.error('Reconnection failed:', err);
-              });
-            }, this.reconnectDelay);
+          if (this.reconnectAttempts < this.maxReconnectAttempts || this.offlineQueue.length > 0) {
+            this.scheduleReconnect();
           }
         };
 
@@ -78,6 +133,26 @@ export class WebSocketClient {
     });
   }
 
+  scheduleReconnect() {
+    if (this.reconnectTimer !== null) return;
+
+    const delay = Math.min(this.maxReconnectDelay, this.reconnectDelay * 2 ** this.reconnectAttempts);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.reconnectAttempts++;
+      this.open().catch(err => {
+        console.error('Reconnection failed:', err);
+      });
+    }, delay / 2 + Math.random() * delay / 2);
+  }
+
+  flushOfflineQueue() {
+    this.resumePending = false;
+    const queued = this.offlineQueue;
+    this.offlineQueue = [];
+    queued.forEach(message => this.send(message));
+  }
+
   handleMessage(message) {
     const handler = this.handlers.get(message.type);
     if (handler) {
@@ -97,62 +172,132 @@ export class WebSocketClient {
   }
 
   send(message) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+    const queueable = QUEUED_WHILE_OFFLINE.includes(message.type);
+
+    if (this.ws && this.ws.readyState === WebSocket.OPEN && !(this.resumePending && queueable)) {
       this.ws.send(JSON.stringify(message));
+    } else if (this.sessionToken && queueable) {
+      if (this.offlineQueue.length < MAX_OFFLINE_QUEUE) {
+        this.offlineQueue.push(message);
+      }
+      if (this.ws && this.ws.readyState === WebSocket.CLOSED && !this.joinRejected) {
+        this.scheduleReconnect();
+      }
+    }
+  }
+
+  sendCompact(message) {
+    if (this.binary && this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(encodeClientMessage(message));
+      return;
     }
+
+    this.send(message);
   }
 
-  sendDrawStart(x, y, tool, color, lineWidth) {
+  sendDrawStart(strokeId, x, y, tool, color, lineWidth, pressure, layerId) {
     this.send({
       type: 'draw-start',
+      strokeId: strokeId,
       x: x,
       y: y,
+      p: pressure,
       tool: tool,
       color: color,
-      lineWidth: lineWidth
+      lineWidth: lineWidth,
+      layerId: layerId
     });
   }
 
-  sendDrawMove(x, y, tool, color, lineWidth) {
-    this.send({
+  sendDrawMove(strokeId, points) {
+    this.sendCompact({
       type: 'draw-move',
-      x: x,
-      y: y,
-      tool: tool,
-      color: color,
-      lineWidth: lineWidth
+      strokeId: strokeId,
+      points: points
     });
   }
 
-  sendDrawEnd(x, y, tool, color, lineWidth) {
+  sendDrawCancel(strokeId) {
+    this.send({ type: 'draw-cancel', strokeId });
+  }
+
+  sendShapePreview(shape) {
     this.send({
-      type: 'draw-end',
-      x: x,
-      y: y,
-      tool: tool,
-      color: color,
-      lineWidth: lineWidth
+      type: 'shape-preview',
+      shape: shape
     });
   }
 
-  sendCursorMove(x, y) {
+  sendTextPreview(text) {
+    this.send({
+      type: 'text-preview',
+      text: text
+    });
+  }
+
+  sendUpdates(updates) {
+    if (updates.length === 0) return;
+
     this.send({
+      type: 'update',
+      updates: updates
+    });
+  }
+
+  sendCursorMove(x, y) {
+    this.sendCompact({
       type: 'cursor-move',
       x: x,
       y: y
     });
   }
 
-  sendUndo() {
-    this.send({ type: 'undo' });
+  sendViewport({ x, y, width, height }) {
+    this.sendCompact({ type: 'viewport-move', x, y, width, height });
+  }
+
+  sendUndo(pageId) {
+    this.send({ type: 'undo', pageId });
+  }
+
+  sendRedo(pageId) {
+    this.send({ type: 'redo', pageId });
+  }
+
+  sendClear(pageId) {
+    this.send({ type: 'clear', pageId });
+  }
+
+  sendPageDuplicate(pageId) {
+    this.send({ type: 'page-duplicate', pageId });
+  }
+
+  sendPageDelete(pageId) {
+    this.send({ type: 'page-delete', pageId });
+  }
+
+  sendPageView(pageId) {
+    this.send({ type: 'page-view', pageId });
+  }
+
+  sendPresent(active) {
+    this.send({ type: 'present', active });
+  }
+
+  sendChat(text) {
+    this.send({ type: 'chat', text });
+  }
+
+  sendChatTyping(typing) {
+    this.send({ type: 'chat-typing', typing });
   }
 
-  sendRedo() {
-    this.send({ type: 'redo' });
+  sendReaction(emoji, x, y) {
+    this.send({ type: 'reaction', emoji, x, y });
   }
 
-  sendClear() {
-    this.send({ type: 'clear' });
+  sendSetRole(userId, role) {
+    this.send({ type: 'set-role', userId, role });
   }
 
   disconnect() {
@@ -0,0 +1,14 @@
+import { PubSubBroker } from './pubsub.js';
+
+const PORT = parseInt(process.env.BROKER_PORT || '3100', 10);
+const HOST = process.env.BROKER_HOST || '127.0.0.1';
+
+const broker = new PubSubBroker();
+
+broker.listen(PORT, HOST).then((port) => {
+  console.log(`Pub/sub broker listening on ${HOST}:${port}`);
+});
+
+process.on('SIGTERM', () => {
+  broker.close().then(() => process.exit(0));
+});
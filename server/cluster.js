@@ -0,0 +1,367 @@
+import { randomBytes } from 'crypto';
+import { CLUSTER_CHANNEL } from './pubsub.js';
+import { ValidationError, parseMessage } from './validation.js';
+
+const CALL_TIMEOUT_MS = 10000;
+
+function roomKey(roomId) {
+  return `room:${roomId}`;
+}
+
+function instanceChannel(instanceId) {
+  return `instance:${instanceId}`;
+}
+
+function getJoinRoomId([data, isBinary]) {
+  try {
+    const message = parseMessage(data, isBinary);
+    return message.type === 'join' ? message.roomId || 'default' : null;
+  } catch (error) {
+    if (error instanceof ValidationError) return null;
+    throw error;
+  }
+}
+
+function encodeFrame(data, isBinary = typeof data !== 'string') {
+  return isBinary ? { binary: Buffer.from(data).toString('base64') } : { data: data.toString() };
+}
+
+function decodeFrame({ data, binary }) {
+  return binary === undefined ? [data, false] : [Buffer.from(binary, 'base64'), true];
+}
+
+class RemoteSocket {
+  constructor(cluster, instanceId, connectionId) {
+    this.cluster = cluster;
+    this.instanceId = instanceId;
+    this.connectionId = connectionId;
+    this.readyState = 1;
+  }
+
+  send(data) {
+    if (this.readyState !== 1) return;
+    this.cluster.publishTo(this.instanceId, { kind: 'send', connectionId: this.connectionId, ...encodeFrame(data) });
+  }
+
+  terminate() {
+    if (this.readyState !== 1) return;
+
+    this.readyState = 3;
+    this.cluster.publishTo(this.instanceId, { kind: 'terminate', connectionId: this.connectionId });
+    this.cluster.closeRemote(this.connectionId);
+  }
+}
+
+export class RoomCluster {
+  constructor({ pubsub, roomManager, createConnection, instanceId = randomBytes(6).toString('hex') }) {
+    this.pubsub = pubsub;
+    this.roomManager = roomManager;
+    this.createConnection = createConnection;
+    this.instanceId = instanceId;
+    this.leases = new Map();
+    this.handlers = new Map();
+    this.calls = new Map();
+    this.nextCallId = 1;
+    this.proxies = new Map();
+    this.remoteConnections = new Map();
+
+    this.pubsub.subscribe(instanceChannel(instanceId), message => this.handleMessage(message));
+    this.pubsub.subscribe(CLUSTER_CHANNEL, message => this.handleClusterMessage(message));
+    this.pubsub.onDisconnect = () => this.dropConnections(() => true);
+    this.pubsub.onReconnect = () => {
+      this.reclaimRooms().catch(error => console.error('Failed to reclaim rooms:', error));
+    };
+    this.roomManager.onRoomUnloaded = roomId => this.releaseIfIdle(roomId);
+  }
+
+  async acquire(roomId) {
+    this.leases.set(roomId, (this.leases.get(roomId) || 0) + 1);
+    try {
+      return await this.pubsub.claim(roomKey(roomId), this.instanceId);
+    } catch (error) {
+      this.unlease(roomId);
+      throw error;
+    }
+  }
+
+  unlease(roomId) {
+    const count = this.leases.get(roomId) - 1;
+    if (count > 0) {
+      this.leases.set(roomId, count);
+      return;
+    }
+
+    this.leases.delete(roomId);
+    this.releaseIfIdle(roomId);
+  }
+
+  releaseIfIdle(roomId) {
+    if (!this.leases.has(roomId) && !this.roomManager.getRoom(roomId)) {
+      this.pubsub.release(roomKey(roomId), this.instanceId);
+    }
+  }
+
+  publishTo(instanceId, message) {
+    this.pubsub.publish(instanceChannel(instanceId), { ...message, from: this.instanceId });
+  }
+
+  accept(ws) {
+    let connection = null;
+    let closed = false;
+    const pending = [];
+
+    ws.on('message', (data, isBinary) => {
+      if (connection) {
+        connection.receive(data, isBinary);
+        return;
+      }
+
+      pending.push([data, isBinary]);
+      if (pending.length > 1) return;
+
+      this.route(ws, pending).then((routed) => {
+        connection = routed;
+        if (closed) {
+          connection.close();
+        }
+      }).catch((error) => {
+        console.error('Failed to route connection:', error);
+        ws.terminate();
+      });
+    });
+
+    ws.on('close', () => {
+      closed = true;
+      if (connection) {
+        connection.close();
+      }
+    });
+  }
+
+  async route(ws, pending) {
+    const roomId = getJoinRoomId(pending[0]);
+    if (roomId === null) {
+      return this.connectLocally(ws, pending);
+    }
+
+    const owner = await this.acquire(roomId);
+    try {
+      return owner === this.instanceId
+        ? this.connectLocally(ws, pending)
+        : this.connectRemotely(ws, pending, roomId, owner);
+    } finally {
+      this.unlease(roomId);
+    }
+  }
+
+  connectLocally(ws, pending) {
+    const connection = this.createConnection(ws);
+    pending.splice(0).forEach(([data, isBinary]) => connection.receive(data, isBinary));
+    return connection;
+  }
+
+  connectRemotely(ws, pending, roomId, owner) {
+    const connectionId = `${this.instanceId}-${randomBytes(6).toString('hex')}`;
+    const connection = {
+      receive: (data, isBinary) => {
+        this.publishTo(owner, { kind: 'message', connectionId, ...encodeFrame(data, isBinary) });
+      },
+      close: () => {
+        if (this.proxies.delete(connectionId)) {
+          this.publishTo(owner, { kind: 'close', connectionId });
+        }
+      }
+    };
+
+    this.proxies.set(connectionId, { ws, owner });
+    this.publishTo(owner, { kind: 'open', connectionId, roomId });
+    pending.splice(0).forEach(([data, isBinary]) => connection.receive(data, isBinary));
+    return connection;
+  }
+
+  async openRemote({ connectionId, roomId, from }) {
+    const socket = new RemoteSocket(this, from, connectionId);
+    const remote = { socket, connection: null, pending: [], roomId, leased: true };
+    this.remoteConnections.set(connectionId, remote);
+
+    const owner = await this.acquire(roomId);
+    if (owner !== this.instanceId || this.remoteConnections.get(connectionId) !== remote) {
+      socket.terminate();
+      this.unlease(roomId);
+      return;
+    }
+
+    remote.connection = this.createConnection(socket);
+    this.receiveRemote(remote, remote.pending.splice(0));
+  }
+
+  receiveRemote(remote, messages) {
+    if (!remote.connection) {
+      remote.pending.push(...messages);
+      return;
+    }
+
+    messages.forEach(([data, isBinary]) => remote.connection.receive(data, isBinary));
+    if (remote.leased && messages.length > 0) {
+      remote.leased = false;
+      this.unlease(remote.roomId);
+    }
+  }
+
+  closeRemote(connectionId) {
+    const remote = this.remoteConnections.get(connectionId);
+    if (!remote) return;
+
+    this.remoteConnections.delete(connectionId);
+    remote.socket.readyState = 3;
+    if (!remote.connection) return;
+
+    remote.connection.close();
+    if (remote.leased) {
+      remote.leased = false;
+      this.unlease(remote.roomId);
+    }
+  }
+
+  handleMessage(message) {
+    switch (message.kind) {
+      case 'open':
+        this.openRemote(message).catch(error => console.error('Failed to open remote connection:', error));
+        break;
+
+      case 'message': {
+        const remote = this.remoteConnections.get(message.connectionId);
+        if (remote) {
+          this.receiveRemote(remote, [decodeFrame(message)]);
+        }
+        break;
+      }
+
+      case 'close':
+        this.closeRemote(message.connectionId);
+        break;
+
+      case 'send': {
+        const proxy = this.proxies.get(message.connectionId);
+        if (proxy && proxy.ws.readyState === 1) {
+          proxy.ws.send(decodeFrame(message)[0]);
+        }
+        break;
+      }
+
+      case 'terminate': {
+        const proxy = this.proxies.get(message.connectionId);
+        if (proxy) {
+          this.proxies.delete(message.connectionId);
+          proxy.ws.terminate();
+        }
+        break;
+      }
+
+      case 'call':
+        this.answerCall(message);
+        break;
+
+      case 'result': {
+        const call = this.calls.get(message.id);
+        if (!call) break;
+
+        this.calls.delete(message.id);
+        clearTimeout(call.timer);
+        if (message.error) {
+          call.reject(new Error(message.error));
+        } else {
+          call.resolve(message.result);
+        }
+        break;
+      }
+    }
+  }
+
+  handleClusterMessage(message) {
+    if (message.kind !== 'instance-down') return;
+
+    this.dropConnections(instanceId => instanceId === message.instanceId);
+  }
+
+  dropConnections(predicate) {
+    this.proxies.forEach((proxy, connectionId) => {
+      if (predicate(proxy.owner)) {
+        this.proxies.delete(connectionId);
+        proxy.ws.terminate();
+      }
+    });
+
+    this.remoteConnections.forEach((remote, connectionId) => {
+      if (predicate(remote.socket.instanceId)) {
+        this.closeRemote(connectionId);
+      }
+    });
+  }
+
+  async reclaimRooms() {
+    const roomIds = new Set([...this.leases.keys(), ...this.roomManager.rooms.keys()]);
+
+    for (const roomId of roomIds) {
+      if (await this.pubsub.claim(roomKey(roomId), this.instanceId) !== this.instanceId) {
+        this.roomManager.dropRoom(roomId);
+      }
+    }
+  }
+
+  handle(name, handler) {
+    this.handlers.set(name, handler);
+  }
+
+  async call(roomId, name, ...args) {
+    const owner = await this.acquire(roomId);
+    try {
+      if (owner === this.instanceId) {
+        return await this.handlers.get(name)(roomId, ...args);
+      }
+
+      return await new Promise((resolve, reject) => {
+        const id = this.nextCallId++;
+        const timer = setTimeout(() => {
+          this.calls.delete(id);
+          reject(new Error(`Instance ${owner} did not answer ${name} for room ${roomId}`));
+        }, CALL_TIMEOUT_MS);
+
+        this.calls.set(id, { resolve, reject, timer });
+        this.publishTo(owner, { kind: 'call', id, roomId, name, args });
+      });
+    } finally {
+      this.unlease(roomId);
+    }
+  }
+
+  async answerCall({ id, roomId, name, args, from }) {
+    try {
+      const result = await this.call(roomId, name, ...args);
+      this.publishTo(from, { kind: 'result', id, result });
+    } catch (error) {
+      this.publishTo(from, { kind: 'result', id, error: error.message });
+    }
+  }
+
+  async sweepExpiredRooms() {
+    const candidates = this.roomManager.getExpiredRoomIds();
+    const owned = [];
+
+    for (const roomId of candidates) {
+      if (await this.acquire(roomId) === this.instanceId) {
+        owned.push(roomId);
+      } else {
+        this.unlease(roomId);
+      }
+    }
+
+    const expired = new Set(this.roomManager.getExpiredRoomIds());
+    owned.forEach(roomId => {
+      if (expired.has(roomId)) {
+        this.roomManager.storage.delete(roomId);
+      }
+      this.unlease(roomId);
+    });
+  }
+}
@@ -1,50 +1,609 @@
+import { createDefaultLayers, resolveLayerId } from '../shared/layers.js';
+import { DEFAULT_PAGE_ID, createDefaultPages, getLayerPageId, getPageId } from '../shared/pages.js';
+import { BoardDocument, SERVER_CLIENT_ID, compareClocks, isCommentType, isOperationType, replayTimeline } from '../shared/crdt.js';
+
+export const UNDO_MODES = ['user', 'global'];
+export const SHAPES = ['line', 'rect', 'ellipse', 'arrow'];
+export const EXPORT_VERSION = 2;
+
+const LEGACY_JOURNAL_TYPES = ['add', 'delete', 'layers'];
+const HISTORY_LIMIT = 100;
+const TIMELINE_LIMIT = 10000;
+
+function toLayerFields(layer, position, pageId = layer.pageId) {
+  return {
+    type: 'layer',
+    name: layer.name,
+    visible: layer.visible,
+    locked: layer.locked,
+    position: position,
+    ...(pageId ? { pageId } : {}),
+    deleted: false
+  };
+}
+
+function toPageFields(page, position) {
+  return { type: 'page', name: page.name, position: position, deleted: false };
+}
+
+function getHistoryKey(pageId, owner) {
+  return `${pageId}:${owner}`;
+}
+
 export class DrawingState {
-  constructor() {
-    this.operations = [];
-    this.currentIndex = -1;
+  constructor({ undoMode = 'user' } = {}) {
+    this.document = new BoardDocument();
+    this.histories = new Map();
+    this.undoMode = UNDO_MODES.includes(undoMode) ? undoMode : 'user';
+    this.journal = null;
+    this.timelineBase = new BoardDocument();
+    this.timeline = [];
+    this.timelineSize = 0;
+    this.replayTime = null;
+
+    this.writeDefaultPages();
+    createDefaultLayers().forEach((layer, index) => this.write(layer.id, toLayerFields(layer, index)));
   }
 
-  addOperation(operation) {
-    this.operations = this.operations.slice(0, this.currentIndex + 1);
-    this.operations.push(operation);
-    this.currentIndex++;
-    return this.currentIndex;
+  writeDefaultPages() {
+    createDefaultPages().forEach((page, index) => this.write(page.id, toPageFields(page, index)));
   }
 
-  undo() {
-    if (this.currentIndex >= 0) {
-      this.currentIndex--;
-      return {
-        success: true,
-        currentIndex: this.currentIndex,
-        operations: this.getVisibleOperations()
-      };
+  static fromJSON(data) {
+    const state = new DrawingState({ undoMode: data.undoMode });
+
+    if (data.document) {
+      state.document = BoardDocument.fromJSON(data.document);
+      state.histories = new Map(data.histories.map(([key, history]) => (
+        [String(key).includes(':') ? key : getHistoryKey(DEFAULT_PAGE_ID, key), history]
+      )));
+      if (state.document.getObjects(type => type === 'page').length === 0) {
+        state.writeDefaultPages();
+      }
+      if (data.timeline) {
+        state.timelineBase = BoardDocument.fromJSON(data.timeline.base);
+        state.timeline = data.timeline.entries;
+        state.timelineSize = state.timeline.reduce((sum, { updates }) => sum + updates.length, 0);
+      } else {
+        state.seedTimeline();
+      }
+      state.compact();
+      return state;
+    }
+
+    const hiddenIds = new Set(data.hiddenIds);
+    const layers = data.layers && data.layers.length > 0 ? data.layers : createDefaultLayers();
+    layers.forEach((layer, index) => state.write(layer.id, toLayerFields(layer, index)));
+    data.operations.forEach(({ id, ...operation }) => state.write(id, { ...operation, deleted: hiddenIds.has(id) }));
+    state.seedTimeline();
+    state.compact();
+    return state;
+  }
+
+  toJSON() {
+    return {
+      undoMode: this.undoMode,
+      document: this.document.toJSON(),
+      histories: Array.from(this.histories.entries()),
+      timeline: this.getTimeline()
+    };
+  }
+
+  getTimeline() {
+    return { base: this.timelineBase.toJSON(), entries: this.timeline };
+  }
+
+  getStateAt(time) {
+    const state = new DrawingState({ undoMode: this.undoMode });
+    state.document = replayTimeline(this.getTimeline(), time);
+    return state;
+  }
+
+  seedTimeline() {
+    this.timelineBase = new BoardDocument();
+    this.timeline = [];
+    this.document.getUpdatesSince([]).forEach(update => {
+      if (!isOperationType(this.document.getType(update.id))) {
+        this.timelineBase.applyUpdate(update);
+      } else if (!this.document.isDeleted(update.id)) {
+        this.timeline.push({ time: this.document.get(update.id).timestamp || 0, updates: [update] });
+      }
+    });
+    this.timeline.sort((a, b) => a.time - b.time);
+    this.timelineSize = this.timeline.length;
+  }
+
+  track(updates) {
+    const time = this.now();
+    const last = this.timeline[this.timeline.length - 1];
+    if (last && last.time === time) {
+      last.updates.push(...updates);
+    } else {
+      this.timeline.push({ time, updates });
+    }
+
+    this.timelineSize += updates.length;
+    if (this.timelineSize > TIMELINE_LIMIT) {
+      this.foldTimeline();
+    }
+  }
+
+  foldTimeline() {
+    while (this.timeline.length > 1 && this.timelineSize > TIMELINE_LIMIT * 3 / 4) {
+      const { updates } = this.timeline.shift();
+      updates.forEach(update => this.timelineBase.applyUpdate(update));
+      this.timelineSize -= updates.length;
+    }
+    const pending = new Set();
+    this.timeline.forEach(({ updates }) => updates.forEach(({ id }) => pending.add(id)));
+    this.timelineBase.objects.forEach((object, id) => {
+      if (this.document.tombstones.has(id) && !pending.has(id)) {
+        this.timelineBase.compact(id);
+      }
+    });
+  }
+
+  now() {
+    return this.replayTime === null ? Date.now() : this.replayTime;
+  }
+
+  record(entry) {
+    if (this.journal) {
+      this.journal({ ...entry, time: this.now() });
+    }
+  }
+
+  applyJournalEntry(entry) {
+    this.replayTime = entry.time || (entry.operation && entry.operation.timestamp) || null;
+    try {
+      this.replayJournalEntry(entry);
+    } finally {
+      this.replayTime = null;
     }
-    return { success: false };
   }
 
-  redo() {
-    if (this.currentIndex < this.operations.length - 1) {
-      this.currentIndex++;
+  replayJournalEntry(entry) {
+    if (entry.revision !== undefined || LEGACY_JOURNAL_TYPES.includes(entry.type)) {
+      this.applyLegacyJournalEntry(entry);
+      return;
+    }
+
+    switch (entry.type) {
+      case 'update':
+        this.applyUpdates(entry.userId, entry.updates);
+        break;
+      case 'undo':
+        this.undo(entry.userId, entry.pageId);
+        break;
+      case 'redo':
+        this.redo(entry.userId, entry.pageId);
+        break;
+      case 'clear':
+        this.clear(entry.pageId);
+        break;
+      case 'import':
+        this.applyUpdates(null, entry.updates);
+        this.histories.clear();
+        this.compact();
+        break;
+      case 'duplicate-page':
+        this.applyUpdates(null, entry.updates);
+        break;
+      case 'delete-page':
+        this.deletePage(entry.pageId);
+        break;
+    }
+  }
+
+  applyLegacyJournalEntry(entry) {
+    switch (entry.type) {
+      case 'add': {
+        const { id, ...operation } = entry.operation;
+        this.applyUpdates(operation.userId, [this.createUpdate(id, { ...operation, deleted: false })]);
+        break;
+      }
+      case 'update': {
+        const updates = (entry.updates || [{ id: entry.id, changes: entry.changes }])
+          .filter(({ id }) => !this.document.isDeleted(id))
+          .map(({ id, changes }) => this.createUpdate(id, changes));
+        this.applyUpdates(entry.userId, updates);
+        break;
+      }
+      case 'delete':
+        this.applyUpdates(entry.userId, entry.ids
+          .filter(id => !this.document.isDeleted(id))
+          .map(id => this.createUpdate(id, { deleted: true })));
+        break;
+      case 'layers':
+        this.applyUpdates(entry.userId, [this.toLegacyLayerUpdate(entry.entry)]);
+        break;
+      case 'import':
+        this.replaceOperations(entry.operations, entry.layers, createDefaultPages());
+        break;
+      case 'undo':
+        this.undo(entry.userId);
+        break;
+      case 'redo':
+        this.redo(entry.userId);
+        break;
+      case 'clear':
+        this.clear();
+        break;
+    }
+  }
+
+  toLegacyLayerUpdate({ kind, ...change }) {
+    switch (kind) {
+      case 'layer-add':
+        return this.createUpdate(change.layer.id, toLayerFields(change.layer, this.getLegacyLayerPosition(change.layer.id, change.index)));
+      case 'layer-move':
+        return this.createUpdate(change.id, { position: this.getLegacyLayerPosition(change.id, change.to) });
+      default:
+        return this.createUpdate(change.id, change.after);
+    }
+  }
+
+  getLegacyLayerPosition(id, index) {
+    const layers = this.layers.filter(layer => layer.id !== id);
+    const previous = layers[index - 1];
+    const next = layers[index];
+
+    if (previous && next) return (previous.position + next.position) / 2;
+    if (previous) return previous.position + 1;
+    return next ? next.position - 1 : 0;
+  }
+
+  createUpdate(id, fields) {
+    return { id, clock: this.document.tick(SERVER_CLIENT_ID), fields };
+  }
+
+  write(id, fields) {
+    const update = this.createUpdate(id, fields);
+    if (Object.keys(this.document.applyUpdate(update).changes).length > 0) {
+      this.track([update]);
+    }
+    return update;
+  }
+
+  createId() {
+    return `${SERVER_CLIENT_ID}-${this.document.tick(SERVER_CLIENT_ID)[0]}`;
+  }
+
+  get pages() {
+    const pages = this.document.getObjects(type => type === 'page')
+      .filter(page => !this.document.isDeleted(page.id))
+      .sort((a, b) => a.position - b.position);
+    return pages.length > 0 ? pages : createDefaultPages();
+  }
+
+  getPage(id) {
+    return this.pages.find(page => page.id === id) || null;
+  }
+
+  getPageLayers(pageId) {
+    return this.layers.filter(layer => getLayerPageId(layer) === pageId);
+  }
+
+  getPageOperations(pageId) {
+    return this.getVisibleOperations().filter(op => getPageId(this.document, op.id) === pageId);
+  }
+
+  getPageComments(pageId) {
+    return this.document.getObjects(isCommentType)
+      .filter(object => !this.document.isDeleted(object.id) && getPageId(this.document, object.id) === pageId);
+  }
+
+  isAvailable(id, type, pending) {
+    return (this.document.getType(id) === type && !this.document.isDeleted(id)) ||
+      pending.some(update => update.id === id && update.fields.type === type);
+  }
+
+  get layers() {
+    const layers = this.document.getObjects(type => type === 'layer')
+      .filter(layer => !this.document.isDeleted(layer.id))
+      .sort((a, b) => a.position - b.position);
+    return layers.length > 0 ? layers : createDefaultLayers();
+  }
+
+  getLayer(id) {
+    return this.layers.find(layer => layer.id === id) || null;
+  }
+
+  getEditableLayerId(layerId) {
+    const layer = this.getLayer(layerId === undefined ? this.layers[0].id : layerId);
+    return layer && !layer.locked ? layer.id : null;
+  }
+
+  canWrite({ id, fields }, pending = [], userId = null) {
+    const existing = this.document.get(id);
+    const type = existing ? existing.type : fields.type;
+    if (type === 'page') return fields.deleted !== true;
+    if (type === 'layer' || type === 'thread') {
+      return fields.pageId === undefined || this.isAvailable(fields.pageId, 'page', pending);
+    }
+    if (type === 'comment') {
+      return existing
+        ? existing.userId === userId && fields.threadId === undefined
+        : this.isAvailable(fields.threadId, 'thread', pending);
+    }
+
+    const currentLayerId = existing ? resolveLayerId(existing, this.layers) : fields.layerId;
+    return Boolean(this.getEditableLayerId(currentLayerId)) &&
+      (fields.layerId === undefined || Boolean(this.getEditableLayerId(fields.layerId)));
+  }
+
+  stamp(userId, update, username) {
+    if (this.document.getType(update.id)) return update;
+
+    if (isCommentType(update.fields.type)) {
       return {
-        success: true,
-        currentIndex: this.currentIndex,
-        operations: this.getVisibleOperations()
+        ...update,
+        fields: { ...update.fields, userId: userId, username: username, timestamp: Date.now(), deleted: false }
       };
     }
-    return { success: false };
+    if (!isOperationType(update.fields.type)) return update;
+
+    return {
+      ...update,
+      fields: {
+        ...update.fields,
+        userId: userId,
+        layerId: this.getEditableLayerId(update.fields.layerId),
+        timestamp: Date.now(),
+        deleted: false
+      }
+    };
+  }
+
+  acceptUpdates(userId, updates, username = null) {
+    const accepted = [];
+    updates.forEach(update => {
+      if (this.canWrite(update, accepted, userId)) {
+        accepted.push(this.stamp(userId, update, username));
+      }
+    });
+    const applied = this.applyUpdates(userId, accepted);
+    if (applied.length > 0) {
+      this.record({ type: 'update', userId, updates: applied });
+    }
+
+    return { updates: applied, rejected: updates.length - accepted.length };
+  }
+
+  applyUpdates(userId, updates) {
+    const applied = [];
+    const entry = [];
+
+    updates.forEach(update => {
+      const { created, changes, previous } = this.document.applyUpdate(update);
+      if (Object.keys(changes).length === 0) return;
+
+      applied.push({ ...update, fields: changes });
+      if (isCommentType(this.document.getType(update.id))) return;
+
+      entry.push(created
+        ? { id: update.id, before: { deleted: true }, after: { deleted: false }, clock: update.clock }
+        : { id: update.id, before: previous, after: changes, clock: update.clock });
+    });
+
+    if (applied.length > 0) {
+      this.track(applied);
+    }
+    if (userId !== null && entry.length > 0) {
+      this.pushHistory(userId, getPageId(this.document, entry[0].id), entry);
+    }
+    return applied;
+  }
+
+  getHistoryOwnerKey(userId, pageId) {
+    return getHistoryKey(pageId, this.undoMode === 'global' ? 'global' : userId);
+  }
+
+  findHistory(userId, pageId) {
+    return this.getPage(pageId) ? this.histories.get(this.getHistoryOwnerKey(userId, pageId)) || null : null;
+  }
+
+  getHistory(userId, pageId = DEFAULT_PAGE_ID) {
+    const key = this.getHistoryOwnerKey(userId, pageId);
+    if (!this.histories.has(key)) {
+      this.histories.set(key, { undo: [], redo: [] });
+    }
+    return this.histories.get(key);
+  }
+
+  clearHistories(pageId) {
+    Array.from(this.histories.keys())
+      .filter(key => key.startsWith(getHistoryKey(pageId, '')))
+      .forEach(key => this.histories.delete(key));
+  }
+
+  pushHistory(userId, pageId, entry) {
+    const history = this.getHistory(userId, pageId);
+    const dropped = history.redo.length > 0 || history.undo.length >= HISTORY_LIMIT;
+
+    history.redo = [];
+    history.undo.push(entry);
+    if (history.undo.length > HISTORY_LIMIT) {
+      history.undo.shift();
+    }
+    if (dropped) {
+      this.compact();
+    }
+  }
+
+  compact() {
+    const restorable = new Set();
+    this.histories.forEach(({ undo, redo }) => {
+      undo.concat(redo).forEach(entry => entry.forEach(({ id }) => restorable.add(id)));
+    });
+
+    this.document.objects.forEach((object, id) => {
+      if (!restorable.has(id)) {
+        this.document.compact(id);
+      }
+    });
+  }
+
+  undo(userId, pageId = DEFAULT_PAGE_ID) {
+    const history = this.findHistory(userId, pageId);
+    if (!history || history.undo.length === 0) return null;
+
+    const entry = history.undo.pop();
+    history.redo.push(entry);
+    this.record({ type: 'undo', userId, pageId });
+
+    return this.restore(entry, 'before');
+  }
+
+  redo(userId, pageId = DEFAULT_PAGE_ID) {
+    const history = this.findHistory(userId, pageId);
+    if (!history || history.redo.length === 0) return null;
+
+    const entry = history.redo.pop();
+    history.undo.push(entry);
+    this.record({ type: 'redo', userId, pageId });
+
+    return this.restore(entry, 'after');
+  }
+
+  restore(entry, side) {
+    const updates = [];
+    entry.forEach(change => {
+      const fields = Object.fromEntries(Object.entries(change[side]).filter(([field]) => {
+        const clock = this.document.getClock(change.id, field) || this.document.getClock(change.id, 'type');
+        return !change.clock || (clock !== null && compareClocks(clock, change.clock) === 0);
+      }));
+      if (Object.keys(fields).length === 0) return;
+
+      const update = this.write(change.id, fields);
+      change.clock = update.clock;
+      updates.push(update);
+    });
+    return updates;
   }
 
   getVisibleOperations() {
-    return this.operations.slice(0, this.currentIndex + 1);
+    return this.getAllOperations().filter(op => !this.document.isDeleted(op.id));
   }
 
   getAllOperations() {
-    return this.operations;
+    return this.document.getObjects(isOperationType);
+  }
+
+  getOperationCount() {
+    return this.document.countRetained(isOperationType);
+  }
+
+  getCommentCount() {
+    return this.document.countRetained(isCommentType);
+  }
+
+  getSnapshot() {
+    return { document: this.document.toJSON() };
+  }
+
+  getRevision() {
+    return this.document.getStateVector().reduce((sum, [, counter]) => sum + counter, 0);
+  }
+
+  getUpdatesSince(stateVector) {
+    const ahead = stateVector.some(([clientId, counter]) => counter > (this.document.stateVector.get(clientId) || 0));
+    return ahead ? null : this.document.getUpdatesSince(stateVector);
+  }
+
+  exportJSON(roomId) {
+    return {
+      version: EXPORT_VERSION,
+      roomId: roomId,
+      exportedAt: new Date().toISOString(),
+      undoMode: this.undoMode,
+      operations: this.getVisibleOperations(),
+      pages: this.pages.map(({ id, name }) => ({ id, name })),
+      layers: this.layers.map(layer => ({
+        id: layer.id,
+        name: layer.name,
+        visible: layer.visible,
+        locked: layer.locked,
+        pageId: getLayerPageId(layer)
+      }))
+    };
+  }
+
+  importJSON(data) {
+    const hiddenIds = new Set(data.hiddenIds || []);
+    const sourcePages = data.pages && data.pages.length > 0 ? data.pages : createDefaultPages();
+    const pages = sourcePages.map(page => ({ ...page, id: this.createId() }));
+    const pageIds = new Map(sourcePages.map((page, index) => [page.id, pages[index].id]));
+    const sourceLayers = data.layers && data.layers.length > 0 ? data.layers : createDefaultLayers();
+    const layers = sourceLayers.map(layer => ({
+      ...layer,
+      id: this.createId(),
+      pageId: pageIds.get(getLayerPageId(layer)) || pages[0].id
+    }));
+    const layerIds = new Map(sourceLayers.map((layer, index) => [layer.id, layers[index].id]));
+    const operations = data.operations
+      .filter(op => !hiddenIds.has(op.id))
+      .map(op => ({ ...op, id: this.createId(), layerId: layerIds.get(resolveLayerId(op, sourceLayers)) }));
+
+    return this.replaceOperations(operations, layers, pages);
+  }
+
+  replaceOperations(operations, layers, pages) {
+    const removed = Array.from(this.document.objects.keys()).filter(id => !this.document.isDeleted(id));
+    const updates = removed.map(id => this.write(id, { deleted: true }))
+      .concat(pages.map((page, index) => this.write(page.id, toPageFields(page, index))))
+      .concat(layers.map((layer, index) => this.write(layer.id, toLayerFields(layer, index))))
+      .concat(operations.map(({ id, ...operation }) => this.write(id, { ...operation, deleted: false })));
+
+    this.histories.clear();
+    this.compact();
+    this.record({ type: 'import', updates });
+    return updates;
+  }
+
+  duplicatePage(pageId) {
+    const pages = this.pages;
+    const index = pages.findIndex(page => page.id === pageId);
+    if (index === -1) return null;
+
+    const page = pages[index];
+    const next = pages[index + 1];
+    const copyId = this.createId();
+    const sourceLayers = this.getPageLayers(pageId);
+    const layerIds = new Map(sourceLayers.map(layer => [layer.id, this.createId()]));
+
+    const updates = [this.write(copyId, toPageFields({ name: `${page.name} copy` }, next ? (page.position + next.position) / 2 : page.position + 1))]
+      .concat(sourceLayers.map(layer => this.write(layerIds.get(layer.id), toLayerFields(layer, layer.position, copyId))))
+      .concat(this.getPageOperations(pageId).map(({ id, ...operation }) => this.write(this.createId(), {
+        ...operation,
+        layerId: layerIds.get(resolveLayerId(operation, sourceLayers)),
+        deleted: false
+      })));
+
+    this.record({ type: 'duplicate-page', updates });
+    return updates;
+  }
+
+  deletePage(pageId) {
+    if (!this.getPage(pageId) || this.pages.length <= 1) return null;
+
+    const removed = [pageId]
+      .concat(this.getPageLayers(pageId).map(layer => layer.id))
+      .concat(this.getPageOperations(pageId).map(op => op.id))
+      .concat(this.getPageComments(pageId).map(comment => comment.id));
+    const updates = removed.map(id => this.write(id, { deleted: true }));
+
+    this.clearHistories(pageId);
+    this.compact();
+    this.record({ type: 'delete-page', pageId });
+    return updates;
   }
 
-  clear() {
-    this.operations = [];
-    this.currentIndex = -1;
+  clear(pageId = DEFAULT_PAGE_ID) {
+    const updates = this.getPageOperations(pageId).map(op => this.write(op.id, { deleted: true }));
+    this.clearHistories(pageId);
+    this.compact();
+    this.record({ type: 'clear', pageId });
+    return updates;
   }
 }
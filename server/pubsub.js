@@ -0,0 +1,305 @@
+import net from 'net';
+
+export const CLUSTER_CHANNEL = 'cluster';
+
+const RECONNECT_MIN_MS = 500;
+const RECONNECT_MAX_MS = 10000;
+
+export class MemoryPubSub {
+  constructor() {
+    this.channels = new Map();
+    this.claims = new Map();
+  }
+
+  subscribe(channel, handler) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set());
+    }
+    this.channels.get(channel).add(handler);
+  }
+
+  unsubscribe(channel, handler) {
+    const handlers = this.channels.get(channel);
+    if (!handlers) return;
+
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      this.channels.delete(channel);
+    }
+  }
+
+  publish(channel, message) {
+    const payload = JSON.stringify(message);
+    queueMicrotask(() => {
+      const handlers = this.channels.get(channel);
+      if (handlers) {
+        handlers.forEach(handler => handler(JSON.parse(payload)));
+      }
+    });
+  }
+
+  async claim(key, owner) {
+    if (!this.claims.has(key)) {
+      this.claims.set(key, owner);
+    }
+    return this.claims.get(key);
+  }
+
+  release(key, owner) {
+    if (this.claims.get(key) === owner) {
+      this.claims.delete(key);
+    }
+  }
+
+  close() {
+    this.channels.clear();
+  }
+}
+
+function readFrames(socket, onFrame) {
+  let buffer = '';
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+
+      try {
+        onFrame(JSON.parse(line));
+      } catch (error) {
+        console.error('Dropping malformed pub/sub frame:', error.message);
+      }
+    }
+  });
+}
+
+function writeFrame(socket, frame) {
+  if (!socket.destroyed) {
+    socket.write(JSON.stringify(frame) + '\n');
+  }
+}
+
+export class PubSubBroker {
+  constructor() {
+    this.subscriptions = new Map();
+    this.claims = new Map();
+    this.peers = new Set();
+    this.server = net.createServer(socket => this.accept(socket));
+  }
+
+  listen(port, host = '127.0.0.1') {
+    return new Promise(resolve => this.server.listen(port, host, () => resolve(this.server.address().port)));
+  }
+
+  accept(socket) {
+    const peer = { socket, instanceId: null, channels: new Set() };
+    this.peers.add(peer);
+
+    readFrames(socket, frame => this.handleFrame(peer, frame));
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => this.disconnect(peer));
+  }
+
+  handleFrame(peer, frame) {
+    switch (frame.op) {
+      case 'hello':
+        peer.instanceId = frame.instanceId;
+        break;
+      case 'subscribe':
+        if (!this.subscriptions.has(frame.channel)) {
+          this.subscriptions.set(frame.channel, new Set());
+        }
+        this.subscriptions.get(frame.channel).add(peer);
+        peer.channels.add(frame.channel);
+        break;
+      case 'unsubscribe':
+        this.removeSubscription(peer, frame.channel);
+        break;
+      case 'publish':
+        this.publish(frame.channel, frame.message);
+        break;
+      case 'claim':
+        if (!this.claims.has(frame.key)) {
+          this.claims.set(frame.key, frame.owner);
+        }
+        writeFrame(peer.socket, { op: 'claimed', id: frame.id, owner: this.claims.get(frame.key) });
+        break;
+      case 'release':
+        if (this.claims.get(frame.key) === frame.owner) {
+          this.claims.delete(frame.key);
+        }
+        break;
+    }
+  }
+
+  publish(channel, message) {
+    const peers = this.subscriptions.get(channel);
+    if (peers) {
+      peers.forEach(peer => writeFrame(peer.socket, { op: 'message', channel, message }));
+    }
+  }
+
+  removeSubscription(peer, channel) {
+    const peers = this.subscriptions.get(channel);
+    if (peers) {
+      peers.delete(peer);
+      if (peers.size === 0) {
+        this.subscriptions.delete(channel);
+      }
+    }
+    peer.channels.delete(channel);
+  }
+
+  disconnect(peer) {
+    this.peers.delete(peer);
+    Array.from(peer.channels).forEach(channel => this.removeSubscription(peer, channel));
+    if (peer.instanceId === null) return;
+
+    this.claims.forEach((owner, key) => {
+      if (owner === peer.instanceId) {
+        this.claims.delete(key);
+      }
+    });
+    this.publish(CLUSTER_CHANNEL, { kind: 'instance-down', instanceId: peer.instanceId });
+  }
+
+  close() {
+    const closed = new Promise(resolve => this.server.close(resolve));
+    this.peers.forEach(peer => peer.socket.destroy());
+    return closed;
+  }
+}
+
+export class BrokerPubSub {
+  constructor({ host = '127.0.0.1', port, instanceId }) {
+    this.host = host;
+    this.port = port;
+    this.instanceId = instanceId;
+    this.channels = new Map();
+    this.claimRequests = new Map();
+    this.nextClaimId = 1;
+    this.socket = null;
+    this.connected = false;
+    this.closed = false;
+    this.everConnected = false;
+    this.reconnectDelay = RECONNECT_MIN_MS;
+    this.reconnectTimer = null;
+    this.onDisconnect = null;
+    this.onReconnect = null;
+
+    this.connect();
+  }
+
+  connect() {
+    const socket = net.createConnection({ host: this.host, port: this.port });
+    this.socket = socket;
+
+    socket.on('connect', () => {
+      const reconnected = this.everConnected;
+      this.connected = true;
+      this.everConnected = true;
+      this.reconnectDelay = RECONNECT_MIN_MS;
+
+      writeFrame(socket, { op: 'hello', instanceId: this.instanceId });
+      this.channels.forEach((handlers, channel) => writeFrame(socket, { op: 'subscribe', channel }));
+      if (reconnected && this.onReconnect) {
+        this.onReconnect();
+      }
+    });
+    socket.on('error', error => console.error('Pub/sub broker connection error:', error.message));
+    socket.on('close', () => this.disconnected(socket));
+    readFrames(socket, frame => this.handleFrame(frame));
+  }
+
+  disconnected(socket) {
+    if (this.socket !== socket) return;
+
+    const wasConnected = this.connected;
+    this.socket = null;
+    this.connected = false;
+    this.claimRequests.forEach(({ reject }) => reject(new Error('Pub/sub broker connection closed')));
+    this.claimRequests.clear();
+    if (this.closed) return;
+
+    if (wasConnected && this.onDisconnect) {
+      this.onDisconnect();
+    }
+
+    this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+    this.reconnectDelay = Math.min(RECONNECT_MAX_MS, this.reconnectDelay * 2);
+  }
+
+  send(frame) {
+    if (this.connected) {
+      writeFrame(this.socket, frame);
+    }
+  }
+
+  handleFrame(frame) {
+    if (frame.op === 'message') {
+      const handlers = this.channels.get(frame.channel);
+      if (handlers) {
+        handlers.forEach(handler => handler(frame.message));
+      }
+      return;
+    }
+
+    if (frame.op === 'claimed') {
+      const request = this.claimRequests.get(frame.id);
+      if (request) {
+        this.claimRequests.delete(frame.id);
+        request.resolve(frame.owner);
+      }
+    }
+  }
+
+  subscribe(channel, handler) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set());
+      this.send({ op: 'subscribe', channel });
+    }
+    this.channels.get(channel).add(handler);
+  }
+
+  unsubscribe(channel, handler) {
+    const handlers = this.channels.get(channel);
+    if (!handlers) return;
+
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      this.channels.delete(channel);
+      this.send({ op: 'unsubscribe', channel });
+    }
+  }
+
+  publish(channel, message) {
+    this.send({ op: 'publish', channel, message });
+  }
+
+  claim(key, owner) {
+    if (!this.socket) {
+      return Promise.reject(new Error('Pub/sub broker is not connected'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextClaimId++;
+      this.claimRequests.set(id, { resolve, reject });
+      writeFrame(this.socket, { op: 'claim', id, key, owner });
+    });
+  }
+
+  release(key, owner) {
+    this.send({ op: 'release', key, owner });
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.socket) {
+      this.socket.end();
+    }
+  }
+}
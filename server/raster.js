@@ -0,0 +1,367 @@
+import { TEXT_LINE_HEIGHT, applyToPoint, getLocalBounds, multiply, pressureWidth, segmentWidth } from '../shared/geometry.js';
+import { NOTE_PADDING, getNoteTextColor } from '../shared/notes.js';
+import { getSmoothSegments } from '../shared/smoothing.js';
+import { createDefaultLayers, groupByLayer } from '../shared/layers.js';
+import { estimateTextWidth } from '../shared/svg.js';
+import { encodePNG } from './png.js';
+
+const SUBSAMPLES = 4;
+const MAX_CURVE_STEPS = 32;
+const CURVE_TOLERANCE = 0.2;
+const GLYPH_UNITS_PER_EM = 10;
+const GLYPH_ADVANCE = 6;
+const GLYPH_TOP = 1.5;
+const GLYPH_ROWS = 8;
+const GLYPH_COLUMNS = 5;
+const FIRST_GLYPH = 32;
+const FALLBACK_GLYPH = '?';
+
+// Printable ASCII in a 5x8 cell, one hex byte per row with the leftmost column in bit 4.
+// The 0.6em advance matches estimateTextWidth so server renders line up with exported bounds.
+const FONT = [
+  '0000000000000000', '0404040404000400', '0a0a000000000000', '0a0a1f0a1f0a0a00', '040f140e051e0400', '1819020408130300', '0c12140815120d00', '0404000000000000',
+  '0204080808040200', '0804020202040800', '0004150e15040000', '0004041f04040000', '0000000000040408', '0000001f00000000', '0000000000000400', '0001020408100000',
+  '0e11131519110e00', '040c040404040e00', '0e11010204081f00', '1f02040201110e00', '02060a121f020200', '1f101e0101110e00', '0608101e11110e00', '1f01020408080800',
+  '0e11110e11110e00', '0e11110f01020c00', '0000040000040000', '0000040000040408', '0204081008040200', '00001f001f000000', '0804020102040800', '0e11010204000400',
+  '0e11010d15150e00', '0e11111f11111100', '1e11111e11111e00', '0e11101010110e00', '1c12111111121c00', '1f10101e10101f00', '1f10101e10101000', '0e11101711110f00',
+  '1111111f11111100', '0e04040404040e00', '0702020202120c00', '1112141814121100', '1010101010101f00', '111b151511111100', '1111191513111100', '0e11111111110e00',
+  '1e11111e10101000', '0e11111115120d00', '1e11111e14121100', '0f10100e01011e00', '1f04040404040400', '1111111111110e00', '11111111110a0400', '1111111515150a00',
+  '11110a040a111100', '11110a0404040400', '1f01020408101f00', '0e08080808080e00', '0010080402010000', '0e02020202020e00', '040a110000000000', '000000000000001f',
+  '0804000000000000', '00000e010f110f00', '1010161911111e00', '00000e1010110e00', '01010d1311110f00', '00000e111f100e00', '0609081c08080800', '00000f11110f010e',
+  '1010161911111100', '04000c0404040e00', '020006020202120c', '1010121418141200', '0c04040404040e00', '00001a1515111100', '0000161911111100', '00000e1111110e00',
+  '00001e11111e1010', '00000f11110f0101', '0000161910101000', '00000f100e011e00', '08081c0808090600', '0000111111130d00', '00001111110a0400', '0000111115150a00',
+  '0000110a040a1100', '00001111110f010e', '00001f0204081f00', '0204040804040200', '0404040404040400', '0804040204040800', '0000081502000000'
+];
+
+function parseColor(color) {
+  const hex = color.length === 4
+    ? color.slice(1).split('').map(digit => digit + digit).join('')
+    : color.slice(1);
+  return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+}
+
+function signedArea(points) {
+  let area = 0;
+  points.forEach((a, i) => {
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  });
+  return area / 2;
+}
+
+function orient(points) {
+  return signedArea(points) < 0 ? points.slice().reverse() : points;
+}
+
+function arcSteps(radius, detail) {
+  return Math.min(32, Math.max(3, Math.ceil(Math.sqrt(radius * detail) * 3)));
+}
+
+function arc(center, radius, start, end, steps) {
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const angle = start + (end - start) * (i / steps);
+    points.push({ x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+  }
+  return points;
+}
+
+function capsule(a, b, radius, detail) {
+  const angle = Math.atan2(b.y - a.y, b.x - a.x);
+  const steps = arcSteps(radius, detail);
+  return arc(b, radius, angle - Math.PI / 2, angle + Math.PI / 2, steps)
+    .concat(arc(a, radius, angle + Math.PI / 2, angle + Math.PI * 1.5, steps));
+}
+
+function outline(points, radius, detail) {
+  return points.map((point, i) => capsule(point, points[(i + 1) % points.length], radius, detail));
+}
+
+function rectangle(x, y, width, height) {
+  return [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }];
+}
+
+function flatten(segment, detail) {
+  if (!segment.control) return [segment.to];
+
+  const { from, control, to } = segment;
+  const bend = Math.hypot(from.x - 2 * control.x + to.x, from.y - 2 * control.y + to.y) * detail;
+  const steps = Math.min(MAX_CURVE_STEPS, Math.max(1, Math.ceil(Math.sqrt(bend / (4 * CURVE_TOLERANCE)))));
+  const points = [];
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    const u = 1 - t;
+    points.push({
+      x: u * u * from.x + 2 * u * t * control.x + t * t * to.x,
+      y: u * u * from.y + 2 * u * t * control.y + t * t * to.y
+    });
+  }
+  return points;
+}
+
+function strokePolygons(stroke, detail) {
+  const { points, lineWidth } = stroke;
+  if (points.length === 1) {
+    return [capsule(points[0], points[0], pressureWidth(lineWidth, points[0].p) / 2, detail)];
+  }
+
+  return getSmoothSegments(points).flatMap(segment => {
+    const radius = segmentWidth(lineWidth, segment.from, segment.to) / 2;
+    const path = [segment.from].concat(flatten(segment, detail));
+    return path.slice(1).map((point, i) => capsule(path[i], point, radius, detail));
+  });
+}
+
+function shapePolygons(shape, detail) {
+  const { x1, y1, x2, y2 } = shape;
+  const radius = shape.lineWidth / 2;
+
+  switch (shape.shape) {
+    case 'line':
+      return [capsule({ x: x1, y: y1 }, { x: x2, y: y2 }, radius, detail)];
+    case 'rect': {
+      const corners = rectangle(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+      return (shape.fill ? [corners] : []).concat(outline(corners, radius, detail));
+    }
+    case 'ellipse': {
+      const center = { x: (x1 + x2) / 2, y: (y1 + y2) / 2 };
+      const rx = Math.abs(x2 - x1) / 2;
+      const ry = Math.abs(y2 - y1) / 2;
+      const steps = Math.min(128, Math.max(16, Math.ceil(Math.sqrt(Math.max(rx, ry) * detail) * 6)));
+      const points = arc(center, 1, 0, Math.PI * 2, steps).slice(0, -1)
+        .map(point => ({ x: center.x + (point.x - center.x) * rx, y: center.y + (point.y - center.y) * ry }));
+      return (shape.fill ? [points] : []).concat(outline(points, radius, detail));
+    }
+    case 'arrow': {
+      const angle = Math.atan2(y2 - y1, x2 - x1);
+      const headLength = Math.max(10, shape.lineWidth * 3);
+      const head = [
+        { x: x2, y: y2 },
+        { x: x2 - headLength * Math.cos(angle - Math.PI / 6), y: y2 - headLength * Math.sin(angle - Math.PI / 6) },
+        { x: x2 - headLength * Math.cos(angle + Math.PI / 6), y: y2 - headLength * Math.sin(angle + Math.PI / 6) }
+      ];
+      return [capsule({ x: x1, y: y1 }, { x: x2, y: y2 }, radius, detail), head].concat(outline(head, radius, detail));
+    }
+    default:
+      return [];
+  }
+}
+
+function getGlyph(char) {
+  const code = char.codePointAt(0);
+  return FONT[code - FIRST_GLYPH] || FONT[FALLBACK_GLYPH.charCodeAt(0) - FIRST_GLYPH];
+}
+
+function textPolygons(text) {
+  const unit = text.fontSize / GLYPH_UNITS_PER_EM;
+  const lineHeight = text.fontSize * TEXT_LINE_HEIGHT;
+  const polygons = [];
+
+  text.text.split('\n').forEach((line, lineIndex) => {
+    line.split('').forEach((char, column) => {
+      const glyph = getGlyph(char);
+      const left = text.x + column * GLYPH_ADVANCE * unit;
+      const top = text.y + lineIndex * lineHeight + GLYPH_TOP * unit;
+
+      for (let row = 0; row < GLYPH_ROWS; row++) {
+        const bits = parseInt(glyph.slice(row * 2, row * 2 + 2), 16);
+        let start = -1;
+        for (let col = 0; col <= GLYPH_COLUMNS; col++) {
+          const on = col < GLYPH_COLUMNS && (bits & (1 << (GLYPH_COLUMNS - 1 - col))) !== 0;
+          if (on && start === -1) {
+            start = col;
+          } else if (!on && start !== -1) {
+            polygons.push(rectangle(left + start * unit, top + row * unit, (col - start) * unit, unit));
+            start = -1;
+          }
+        }
+      }
+    });
+  });
+
+  return polygons;
+}
+
+class Raster {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.pixels = new Uint8ClampedArray(width * height * 4);
+    this.coverage = new Float32Array(width);
+    this.minX = 0;
+    this.maxX = -1;
+  }
+
+  clear() {
+    this.pixels.fill(0);
+  }
+
+  paint(color) {
+    const [r, g, b] = parseColor(color);
+    for (let i = 0; i < this.pixels.length; i += 4) {
+      this.pixels[i] = r;
+      this.pixels[i + 1] = g;
+      this.pixels[i + 2] = b;
+      this.pixels[i + 3] = 255;
+    }
+  }
+
+  fill(polygons, color, erase = false) {
+    const edges = [];
+    polygons.forEach(points => {
+      points.forEach((a, i) => {
+        const b = points[(i + 1) % points.length];
+        if (a.y === b.y) return;
+
+        const [top, bottom, direction] = a.y < b.y ? [a, b, 1] : [b, a, -1];
+        edges.push({ y0: top.y, y1: bottom.y, x0: top.x, slope: (bottom.x - top.x) / (bottom.y - top.y), direction });
+      });
+    });
+    if (edges.length === 0) return;
+
+    edges.sort((a, b) => a.y0 - b.y0);
+    const bottom = edges.reduce((max, edge) => Math.max(max, edge.y1), -Infinity);
+    const first = Math.max(0, Math.floor(edges[0].y0));
+    const last = Math.min(this.height, Math.ceil(bottom));
+    const rgb = erase ? null : parseColor(color);
+
+    let next = 0;
+    let active = [];
+    for (let row = first; row < last; row++) {
+      this.minX = this.width;
+      this.maxX = -1;
+
+      for (let sample = 0; sample < SUBSAMPLES; sample++) {
+        const y = row + (sample + 0.5) / SUBSAMPLES;
+        while (next < edges.length && edges[next].y0 <= y) {
+          active.push(edges[next++]);
+        }
+        active = active.filter(edge => edge.y1 > y);
+
+        const crossings = active
+          .map(edge => ({ x: edge.x0 + (y - edge.y0) * edge.slope, direction: edge.direction }))
+          .sort((a, b) => a.x - b.x);
+
+        let winding = 0;
+        for (let i = 0; i < crossings.length - 1; i++) {
+          winding += crossings[i].direction;
+          if (winding !== 0) {
+            this.addSpan(crossings[i].x, crossings[i + 1].x, 1 / SUBSAMPLES);
+          }
+        }
+      }
+
+      if (this.maxX >= this.minX) {
+        this.blendRow(row, rgb);
+      }
+    }
+  }
+
+  addSpan(start, end, weight) {
+    const x0 = Math.max(0, start);
+    const x1 = Math.min(this.width, end);
+    if (x1 <= x0) return;
+
+    const i0 = Math.floor(x0);
+    const i1 = Math.min(this.width - 1, Math.floor(x1));
+    if (i0 === i1) {
+      this.coverage[i0] += (x1 - x0) * weight;
+    } else {
+      this.coverage[i0] += (i0 + 1 - x0) * weight;
+      for (let i = i0 + 1; i < i1; i++) {
+        this.coverage[i] += weight;
+      }
+      this.coverage[i1] += (x1 - i1) * weight;
+    }
+
+    this.minX = Math.min(this.minX, i0);
+    this.maxX = Math.max(this.maxX, i1);
+  }
+
+  blendRow(row, rgb) {
+    const { pixels, coverage } = this;
+    for (let x = this.minX; x <= this.maxX; x++) {
+      const alpha = Math.min(1, coverage[x]);
+      coverage[x] = 0;
+      if (alpha <= 0) continue;
+
+      const i = (row * this.width + x) * 4;
+      if (!rgb) {
+        pixels[i + 3] *= 1 - alpha;
+        continue;
+      }
+
+      const below = (pixels[i + 3] / 255) * (1 - alpha);
+      const total = alpha + below;
+      pixels[i] = (rgb[0] * alpha + pixels[i] * below) / total;
+      pixels[i + 1] = (rgb[1] * alpha + pixels[i + 1] * below) / total;
+      pixels[i + 2] = (rgb[2] * alpha + pixels[i + 2] * below) / total;
+      pixels[i + 3] = total * 255;
+    }
+  }
+
+  composite(source) {
+    const target = this.pixels;
+    const { pixels } = source;
+    for (let i = 0; i < pixels.length; i += 4) {
+      const alpha = pixels[i + 3] / 255;
+      if (alpha === 0) continue;
+
+      const below = (target[i + 3] / 255) * (1 - alpha);
+      const total = alpha + below;
+      target[i] = (pixels[i] * alpha + target[i] * below) / total;
+      target[i + 1] = (pixels[i + 1] * alpha + target[i + 1] * below) / total;
+      target[i + 2] = (pixels[i + 2] * alpha + target[i + 2] * below) / total;
+      target[i + 3] = total * 255;
+    }
+  }
+}
+
+function drawOperation(raster, operation, view, measureText) {
+  const matrix = operation.transform ? multiply(view, operation.transform) : view;
+  const detail = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+  const fill = (polygons, color, erase) => raster.fill(
+    polygons.map(points => orient(points).map(point => applyToPoint(matrix, point))),
+    color,
+    erase
+  );
+
+  switch (operation.type) {
+    case 'shape':
+      fill(shapePolygons(operation, detail), operation.color);
+      break;
+    case 'text':
+      fill(textPolygons(operation), operation.color);
+      break;
+    case 'note': {
+      const { x, y, width, height } = getLocalBounds(operation, measureText);
+      fill([rectangle(x, y, width, height)], operation.color);
+      fill(textPolygons({ ...operation, x: operation.x + NOTE_PADDING, y: operation.y + NOTE_PADDING }), getNoteTextColor(operation.color));
+      break;
+    }
+    default:
+      fill(strokePolygons(operation, detail), operation.color, operation.tool === 'eraser');
+  }
+}
+
+export function renderPNG(operations, { bounds, background = null, scale = 1, layers = createDefaultLayers(), measureText = estimateTextWidth }) {
+  const width = Math.max(1, Math.round(bounds.width * scale));
+  const height = Math.max(1, Math.round(bounds.height * scale));
+  const view = [scale, 0, 0, scale, -bounds.x * scale, -bounds.y * scale];
+
+  const output = new Raster(width, height);
+  if (background) {
+    output.paint(background);
+  }
+
+  const layer = new Raster(width, height);
+  groupByLayer(operations, layers)
+    .filter(group => group.layer.visible && group.operations.length > 0)
+    .forEach(group => {
+      layer.clear();
+      group.operations.forEach(operation => drawOperation(layer, operation, view, measureText));
+      output.composite(layer);
+    });
+
+  return encodePNG(width, height, output.pixels);
+}
@@ -0,0 +1,57 @@
+export const RATE_LIMITS = {
+  draw: { capacity: 240, refillPerSecond: 120 },
+  cursor: { capacity: 60, refillPerSecond: 30 },
+  history: { capacity: 20, refillPerSecond: 5 },
+  chat: { capacity: 10, refillPerSecond: 1 },
+  other: { capacity: 60, refillPerSecond: 20 }
+};
+
+const MESSAGE_CATEGORIES = {
+  'draw-start': 'draw',
+  'draw-move': 'draw',
+  'draw-cancel': 'draw',
+  'shape-preview': 'draw',
+  'text-preview': 'draw',
+  'update': 'draw',
+  'cursor-move': 'cursor',
+  'viewport-move': 'cursor',
+  'undo': 'history',
+  'redo': 'history',
+  'clear': 'history',
+  'page-duplicate': 'history',
+  'page-delete': 'history',
+  'chat': 'chat',
+  'reaction': 'chat'
+};
+
+export class TokenBucket {
+  constructor({ capacity, refillPerSecond }, now = Date.now()) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  take(count = 1, now = Date.now()) {
+    const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.updatedAt = now;
+
+    if (this.tokens < count) return false;
+    this.tokens -= count;
+    return true;
+  }
+}
+
+export class ConnectionRateLimiter {
+  constructor(limits = RATE_LIMITS) {
+    this.buckets = new Map(Object.entries(limits).map(([category, limit]) => [category, new TokenBucket(limit)]));
+  }
+
+  allow(message) {
+    const category = MESSAGE_CATEGORIES[message.type] || 'other';
+    const batch = message.points || message.updates;
+    const cost = batch ? Math.max(1, Math.ceil(batch.length / 10)) : 1;
+    return this.buckets.get(category).take(cost);
+  }
+}
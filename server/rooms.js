@@ -1,40 +1,466 @@
+import { randomBytes, scryptSync, timingSafeEqual } from 'crypto';
 import { DrawingState } from './drawing-state.js';
+import { createDefaultLayers } from '../shared/layers.js';
+import { MemoryStorage } from './storage.js';
+import { LIMITS, sanitizeLayers, sanitizeOperation, sanitizePages } from './validation.js';
+import { encodeServerMessage } from '../shared/wire.js';
+
+export const ROLES = ['owner', 'editor', 'viewer'];
+const ASSIGNABLE_ROLES = ['editor', 'viewer'];
+const PEEK_TTL_MS = 5000;
+const PERMISSIONS = {
+  owner: ['edit', 'clear', 'manage'],
+  editor: ['edit'],
+  viewer: []
+};
+
+export class RoomAccessError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RoomAccessError';
+    this.code = code;
+  }
+}
+
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+function createMembers(usernames) {
+  const members = new Map();
+  usernames.map(username => String(username || '').trim()).filter(Boolean).forEach(username => {
+    if (!members.has(normalizeUsername(username))) {
+      members.set(normalizeUsername(username), { username, inviteToken: randomBytes(16).toString('hex') });
+    }
+  });
+  return Array.from(members.values());
+}
+
+function upgradeAccess({ allowedUsers, ...access }) {
+  return access.members ? access : { ...access, members: createMembers(allowedUsers || []) };
+}
+
+function findPage(drawingState, page) {
+  if (page === null) return drawingState.pages[0];
+  return typeof page === 'number' ? drawingState.pages[page - 1] : drawingState.getPage(page);
+}
+
+function hashPassword(password, salt = randomBytes(16).toString('hex')) {
+  return `${salt}:${scryptSync(password, salt, 32).toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const candidate = scryptSync(String(password), salt, 32);
+  return timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
 
 export class RoomManager {
-  constructor() {
+  constructor({ storage = new MemoryStorage(), retentionMs = 0, snapshotInterval = 200 } = {}) {
     this.rooms = new Map();
+    this.peeked = new Map();
+    this.storage = storage;
+    this.retentionMs = retentionMs;
+    this.snapshotInterval = snapshotInterval;
     this.userColors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E2'];
     this.colorIndex = 0;
+    this.onRoomUnloaded = null;
   }
 
-  getOrCreateRoom(roomId) {
+  getOrCreateRoom(roomId, options = {}) {
     if (!this.rooms.has(roomId)) {
-      this.rooms.set(roomId, {
-        id: roomId,
-        users: new Map(),
-        drawingState: new DrawingState(),
-        nextUserId: 1
-      });
+      this.peeked.delete(roomId);
+      let room = this.loadRoom(roomId);
+      if (!room) {
+        room = {
+          id: roomId,
+          users: new Map(),
+          drawingState: new DrawingState({ undoMode: options.undoMode }),
+          sessions: new Map(),
+          access: this.createAccess(options.access, options.username),
+          nextUserId: 1,
+          journalLength: 0,
+          presenterId: null,
+          chat: [],
+          nextChatId: 1
+        };
+        this.saveSnapshot(room);
+      }
+
+      room.drawingState.journal = (entry) => {
+        this.storage.append(roomId, entry);
+        room.journalLength++;
+        if (room.journalLength >= this.snapshotInterval) {
+          this.saveSnapshot(room);
+        }
+      };
+
+      this.rooms.set(roomId, room);
     }
     return this.rooms.get(roomId);
   }
 
-  addUser(roomId, ws, username) {
+  peekRoom(roomId) {
+    if (this.rooms.has(roomId)) return this.rooms.get(roomId);
+    if (this.peeked.has(roomId)) return this.peeked.get(roomId);
+
+    const room = this.loadRoom(roomId);
+    if (room) {
+      this.peeked.set(roomId, room);
+      setTimeout(() => this.peeked.delete(roomId), PEEK_TTL_MS).unref();
+    }
+    return room;
+  }
+
+  loadRoom(roomId) {
+    const stored = this.storage.load(roomId);
+    if (!stored) return null;
+
+    const drawingState = stored.snapshot
+      ? DrawingState.fromJSON(stored.snapshot.drawingState)
+      : new DrawingState();
+    stored.log.forEach(entry => drawingState.applyJournalEntry(entry));
+
+    const userIds = drawingState.getAllOperations().map(op => op.userId)
+      .concat(Array.from(drawingState.histories.keys()))
+      .filter(id => typeof id === 'number');
+
+    return {
+      id: roomId,
+      users: new Map(),
+      drawingState,
+      sessions: new Map((stored.snapshot ? stored.snapshot.sessions : []).map(([token, session]) => (
+        [token, { ...session, lastSeen: session.lastSeen || Date.now() }]
+      ))),
+      access: stored.snapshot && stored.snapshot.access ? upgradeAccess(stored.snapshot.access) : this.createAccess(),
+      nextUserId: Math.max(stored.snapshot ? stored.snapshot.nextUserId : 1, ...userIds.map(id => id + 1)),
+      journalLength: stored.log.length,
+      presenterId: null,
+      chat: [],
+      nextChatId: 1
+    };
+  }
+
+  createAccess(settings = {}, creator = '') {
+    const isPrivate = Boolean(settings.private);
+    const password = typeof settings.password === 'string' && settings.password !== '' ? settings.password : null;
+    const allowedUsers = Array.isArray(settings.allowedUsers) ? settings.allowedUsers : [];
+
+    return {
+      private: isPrivate,
+      passwordHash: isPrivate && password ? hashPassword(password) : null,
+      inviteToken: isPrivate ? randomBytes(16).toString('hex') : null,
+      locked: Boolean(settings.locked),
+      defaultRole: ASSIGNABLE_ROLES.includes(settings.defaultRole) ? settings.defaultRole : 'editor',
+      members: createMembers([creator].concat(allowedUsers))
+    };
+  }
+
+  checkAccess(room, { password, inviteToken } = {}) {
+    const { access } = room;
+
+    if (access.locked) {
+      const member = inviteToken ? access.members.find(candidate => candidate.inviteToken === inviteToken) : null;
+      if (!member) {
+        throw new RoomAccessError('locked', 'This room is locked. Join with the personal invite link the owner sent you.');
+      }
+      return member;
+    }
+
+    if (!access.private) return null;
+    if (inviteToken && inviteToken === access.inviteToken) return null;
+
+    if (access.passwordHash) {
+      if (!password) {
+        throw new RoomAccessError('password-required', 'This room is private. Enter the room password or use an invite link.');
+      }
+      if (!verifyPassword(password, access.passwordHash)) {
+        throw new RoomAccessError('password-invalid', 'Incorrect room password.');
+      }
+      return null;
+    }
+
+    throw new RoomAccessError('invite-required', 'This room is private. Ask a member for an invite link.');
+  }
+
+  canAccess(roomId, sessionToken) {
+    const room = this.peekRoom(roomId);
+    if (!room || (!room.access.private && !room.access.locked)) return true;
+
+    return Boolean(sessionToken) && room.sessions.has(sessionToken);
+  }
+
+  getAccessInfo(room, user) {
+    return {
+      private: room.access.private,
+      locked: room.access.locked,
+      hasPassword: Boolean(room.access.passwordHash),
+      defaultRole: room.access.defaultRole || 'editor',
+      inviteToken: room.access.locked ? null : room.access.inviteToken,
+      members: room.access.locked && user.role === 'owner' ? room.access.members : []
+    };
+  }
+
+  pruneSessions(room, now = Date.now()) {
+    const connected = new Set(room.users.keys());
+    const idle = Array.from(room.sessions.entries())
+      .filter(([, session]) => !connected.has(session.userId))
+      .sort(([, a], [, b]) => (a.role === 'owner') - (b.role === 'owner') || a.lastSeen - b.lastSeen);
+
+    let excess = room.sessions.size - LIMITS.roomSessions;
+    idle.forEach(([token, session]) => {
+      if (excess > 0 || (this.retentionMs > 0 && now - session.lastSeen >= this.retentionMs)) {
+        room.sessions.delete(token);
+        excess--;
+      }
+    });
+  }
+
+  saveSnapshot(room) {
+    this.pruneSessions(room);
+    this.storage.writeSnapshot(room.id, {
+      nextUserId: room.nextUserId,
+      sessions: Array.from(room.sessions.entries()),
+      access: room.access,
+      drawingState: room.drawingState.toJSON()
+    });
+    room.journalLength = 0;
+  }
+
+  saveAll() {
+    this.rooms.forEach(room => this.saveSnapshot(room));
+  }
+
+  exportRoom(roomId) {
+    const room = this.peekRoom(roomId);
+    if (!room) return null;
+
+    return room.drawingState.exportJSON(roomId);
+  }
+
+  getTimeline(roomId) {
+    const room = this.peekRoom(roomId);
+    return room ? room.drawingState.getTimeline() : null;
+  }
+
+  getRoomRevision(roomId, page = null) {
+    const room = this.peekRoom(roomId);
+    if (!room) return null;
+
+    const target = findPage(room.drawingState, page);
+    return { revision: room.drawingState.getRevision(), pageId: target ? target.id : null };
+  }
+
+  getPageContent(roomId, page) {
+    const room = this.peekRoom(roomId);
+    if (!room) return null;
+
+    const { drawingState } = room;
+    const target = findPage(drawingState, page);
+
+    if (!target) return { revision: drawingState.getRevision(), page: null };
+
+    const layers = drawingState.getPageLayers(target.id);
+    return {
+      revision: drawingState.getRevision(),
+      page: { id: target.id, name: target.name },
+      layers: layers.length > 0 ? layers : createDefaultLayers(),
+      operations: drawingState.getPageOperations(target.id)
+    };
+  }
+
+  importRoom(roomId, data) {
+    if (!data || !Array.isArray(data.operations)) return null;
+    if (!this.rooms.has(roomId) && !this.storage.exists(roomId)) return null;
+
     const room = this.getOrCreateRoom(roomId);
+    const updates = room.drawingState.importJSON({
+      operations: data.operations.map(sanitizeOperation).filter(Boolean).slice(0, LIMITS.roomOperations),
+      hiddenIds: Array.isArray(data.hiddenIds) ? data.hiddenIds : [],
+      pages: sanitizePages(data.pages),
+      layers: sanitizeLayers(data.layers)
+    });
+
+    if (room.users.size === 0) {
+      this.saveSnapshot(room);
+      this.unloadRoom(roomId);
+    }
+
+    return updates;
+  }
+
+  createForkId(roomId) {
+    let forkId;
+    do {
+      forkId = `${roomId.slice(0, LIMITS.roomIdLength - 18)}-fork-${randomBytes(6).toString('hex')}`;
+    } while (this.rooms.has(forkId) || this.peeked.has(forkId) || this.storage.exists(forkId));
+    return forkId;
+  }
+
+  forkRoom(roomId, sessionToken, until) {
+    const source = this.peekRoom(roomId);
+    const session = source && sessionToken ? source.sessions.get(sessionToken) : null;
+    if (!session) return null;
+
+    const forkId = this.createForkId(roomId);
+    const snapshot = source.drawingState.getStateAt(until);
+    const operations = snapshot.getVisibleOperations();
+
+    const room = this.getOrCreateRoom(forkId, { undoMode: source.drawingState.undoMode });
+    room.access = {
+      ...source.access,
+      inviteToken: source.access.private ? randomBytes(16).toString('hex') : null,
+      members: createMembers(source.access.members.map(member => member.username))
+    };
+    room.drawingState.importJSON({
+      operations,
+      pages: snapshot.pages,
+      layers: snapshot.layers
+    });
+
+    const forkToken = randomBytes(16).toString('hex');
+    room.sessions.set(forkToken, {
+      userId: room.nextUserId++,
+      username: session.username,
+      color: session.color,
+      role: 'owner',
+      lastSeen: Date.now()
+    });
+
+    this.saveSnapshot(room);
+    this.unloadRoom(forkId);
+    return { roomId: forkId, sessionToken: forkToken, operations: operations.length };
+  }
+
+  getExpiredRoomIds(now = Date.now()) {
+    return this.storage.list()
+      .filter(({ roomId, updatedAt }) => !this.rooms.has(roomId) && now - updatedAt >= this.retentionMs)
+      .map(({ roomId }) => roomId);
+  }
+
+  dropRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    room.users.forEach(user => user.ws.terminate());
+    this.unloadRoom(roomId);
+  }
+
+  unloadRoom(roomId) {
+    this.rooms.delete(roomId);
+    this.peeked.delete(roomId);
+    if (this.onRoomUnloaded) {
+      this.onRoomUnloaded(roomId);
+    }
+  }
+
+  addUser(roomId, ws, username, options = {}) {
+    const isNewRoom = !this.rooms.has(roomId) && !this.storage.exists(roomId);
+    const room = this.getOrCreateRoom(roomId, { ...options, username });
+    const session = options.sessionToken ? room.sessions.get(options.sessionToken) : null;
+    let member = null;
+
+    if (!session && !isNewRoom) {
+      try {
+        member = this.checkAccess(room, { password: options.password, inviteToken: options.inviteToken });
+      } catch (error) {
+        if (room.users.size === 0) {
+          this.unloadRoom(roomId);
+        }
+        throw error;
+      }
+    }
+
+    if (session) {
+      session.lastSeen = Date.now();
+      const existing = room.users.get(session.userId);
+      if (existing && existing.ws !== ws) {
+        existing.ws.terminate();
+      }
+
+      const user = {
+        id: session.userId,
+        username: session.username,
+        color: session.color,
+        role: session.role || 'editor',
+        ws: ws,
+        binary: Boolean(options.binary),
+        cursor: existing ? existing.cursor : null,
+        viewport: existing ? existing.viewport : null,
+        pageId: existing ? existing.pageId : null
+      };
+
+      room.users.set(user.id, user);
+      return { user, room, sessionToken: options.sessionToken, resumed: true };
+    }
+
+    if (room.users.size >= LIMITS.roomUsers) {
+      throw new RoomAccessError('room-full', `This room is limited to ${LIMITS.roomUsers} users`);
+    }
+
     const userId = room.nextUserId++;
     const color = this.userColors[this.colorIndex % this.userColors.length];
     this.colorIndex++;
 
     const user = {
       id: userId,
-      username: username || `User ${userId}`,
+      username: (member ? member.username : username) || `User ${userId}`,
       color: color,
+      role: isNewRoom ? 'owner' : room.access.defaultRole || 'editor',
       ws: ws,
-      cursor: null
+      binary: Boolean(options.binary),
+      cursor: null,
+      viewport: null,
+      pageId: null
     };
 
+    const sessionToken = randomBytes(16).toString('hex');
+    room.sessions.set(sessionToken, { userId, username: user.username, color, role: user.role, lastSeen: Date.now() });
     room.users.set(userId, user);
-    return { user, room };
+    if (room.sessions.size > LIMITS.roomSessions) {
+      this.pruneSessions(room);
+    }
+    return { user, room, sessionToken, resumed: false };
+  }
+
+  hasPermission(roomId, userId, permission) {
+    const room = this.rooms.get(roomId);
+    const user = room ? room.users.get(userId) : null;
+    return Boolean(user) && PERMISSIONS[user.role].includes(permission);
+  }
+
+  hasSessionPermission(roomId, sessionToken, permission) {
+    const room = this.peekRoom(roomId);
+    if (!room) return null;
+
+    const session = sessionToken ? room.sessions.get(sessionToken) : null;
+    return Boolean(session) && PERMISSIONS[session.role || 'editor'].includes(permission);
+  }
+
+  setUserRole(roomId, userId, role) {
+    const room = this.rooms.get(roomId);
+    if (!room || !ASSIGNABLE_ROLES.includes(role)) return null;
+
+    const user = room.users.get(userId);
+    if (!user || user.role === 'owner') return null;
+
+    user.role = role;
+    room.sessions.forEach(session => {
+      if (session.userId === userId) {
+        session.role = role;
+      }
+    });
+    this.saveSnapshot(room);
+
+    return user;
+  }
+
+  isCurrentConnection(roomId, userId, ws) {
+    const room = this.rooms.get(roomId);
+    if (!room) return false;
+
+    const user = room.users.get(userId);
+    return Boolean(user) && user.ws === ws;
   }
 
   removeUser(roomId, userId) {
@@ -42,9 +468,22 @@ export class RoomManager {
     if (!room) return null;
 
     room.users.delete(userId);
+    room.sessions.forEach(session => {
+      if (session.userId === userId) {
+        session.lastSeen = Date.now();
+      }
+    });
+    if (room.presenterId === userId) {
+      room.presenterId = null;
+    }
 
     if (room.users.size === 0) {
-      this.rooms.delete(roomId);
+      if (this.retentionMs > 0) {
+        this.saveSnapshot(room);
+      } else {
+        this.storage.delete(roomId);
+      }
+      this.unloadRoom(roomId);
       return null;
     }
 
@@ -66,11 +505,65 @@ export class RoomManager {
     return true;
   }
 
+  updateUserViewport(roomId, userId, viewport) {
+    const room = this.rooms.get(roomId);
+    const user = room ? room.users.get(userId) : null;
+    if (!user) return false;
+
+    user.viewport = viewport;
+    return true;
+  }
+
+  setUserPage(roomId, userId, pageId) {
+    const room = this.rooms.get(roomId);
+    const user = room ? room.users.get(userId) : null;
+    if (!user) return false;
+
+    user.pageId = pageId;
+    return true;
+  }
+
+  setPresenter(roomId, userId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+
+    room.presenterId = userId;
+    return this.getPresenter(room);
+  }
+
+  getPresenter(room) {
+    const presenter = room.presenterId ? room.users.get(room.presenterId) : null;
+    return presenter ? { userId: presenter.id, pageId: presenter.pageId } : null;
+  }
+
+  addChatMessage(roomId, userId, text) {
+    const room = this.rooms.get(roomId);
+    const user = room ? room.users.get(userId) : null;
+    if (!user) return null;
+
+    const message = {
+      id: room.nextChatId++,
+      userId: user.id,
+      username: user.username,
+      color: user.color,
+      text,
+      timestamp: Date.now()
+    };
+    room.chat.push(message);
+    if (room.chat.length > LIMITS.chatHistory) {
+      room.chat.splice(0, room.chat.length - LIMITS.chatHistory);
+    }
+    return message;
+  }
+
   getUserList(room) {
     return Array.from(room.users.values()).map(u => ({
       id: u.id,
       username: u.username,
-      color: u.color
+      color: u.color,
+      role: u.role,
+      pageId: u.pageId,
+      viewport: u.viewport
     }));
   }
 
@@ -78,10 +571,25 @@ export class RoomManager {
     const room = this.rooms.get(roomId);
     if (!room) return;
 
+    let json = null;
+    let binary;
     room.users.forEach((user, userId) => {
-      if (userId !== excludeUserId && user.ws.readyState === 1) {
-        user.ws.send(JSON.stringify(message));
+      if (userId === excludeUserId || user.ws.readyState !== 1) return;
+
+      if (user.binary) {
+        if (binary === undefined) {
+          binary = encodeServerMessage(message);
+        }
+        if (binary) {
+          user.ws.send(binary);
+          return;
+        }
+      }
+
+      if (json === null) {
+        json = JSON.stringify(message);
       }
+      user.ws.send(json);
     });
   }
 }
@@ -1,45 +1,411 @@
 import express from 'express';
+import { createHash } from 'crypto';
 import { WebSocketServer } from 'ws';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { RoomManager } from './rooms.js';
+import { RoomAccessError, RoomManager } from './rooms.js';
+import { FileStorage, MemoryStorage } from './storage.js';
+import { LIMITS, ValidationError, parseMessage, parseSnapshotQuery, validateUpdate } from './validation.js';
+import { ConnectionRateLimiter } from './rate-limit.js';
+import { BrokerPubSub, MemoryPubSub } from './pubsub.js';
+import { RoomCluster } from './cluster.js';
+import { BINARY_PROTOCOL_VERSION } from '../shared/wire.js';
+import { getExportBounds } from '../shared/svg.js';
+import { SnapshotRenderer } from './snapshots.js';
+import { isCommentType, isOperationType } from '../shared/crdt.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.DATA_DIR || join(__dirname, '../data');
+const ROOM_RETENTION_MS = parseInt(process.env.ROOM_RETENTION_MS || String(24 * 60 * 60 * 1000), 10);
+const SNAPSHOT_INTERVAL = parseInt(process.env.SNAPSHOT_INTERVAL || '200', 10);
+const IMPORT_LIMIT = process.env.IMPORT_LIMIT || '10mb';
+const INSTANCE_ID = process.env.INSTANCE_ID || `${process.pid}-${Date.now().toString(36)}`;
+const PUBSUB_BROKER = process.env.PUBSUB_BROKER;
+const EMPTY_SNAPSHOT_BOUNDS = { x: 0, y: 0, width: 400, height: 300 };
+const DEFAULT_SNAPSHOT_BACKGROUND = '#ffffff';
+
+const REQUIRED_PERMISSIONS = {
+  'draw-start': 'edit',
+  'draw-move': 'edit',
+  'draw-cancel': 'edit',
+  'shape-preview': 'edit',
+  'text-preview': 'edit',
+  'update': 'edit',
+  'undo': 'edit',
+  'redo': 'edit',
+  'clear': 'clear',
+  'page-duplicate': 'edit',
+  'page-delete': 'clear',
+  'present': 'manage',
+  'set-role': 'manage'
+};
 
 app.use(express.static(join(__dirname, '../client')));
+app.use('/shared', express.static(join(__dirname, '../shared')));
 
 const server = app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
 
-const wss = new WebSocketServer({ server });
-const roomManager = new RoomManager();
+const snapshots = new SnapshotRenderer();
+const wss = new WebSocketServer({ server, maxPayload: LIMITS.messageBytes * 2 });
+const roomManager = new RoomManager({
+  storage: process.env.STORAGE === 'memory' ? new MemoryStorage() : new FileStorage(DATA_DIR),
+  retentionMs: ROOM_RETENTION_MS,
+  snapshotInterval: SNAPSHOT_INTERVAL
+});
 
-wss.on('connection', (ws) => {
+const createPubSub = () => {
+  if (!PUBSUB_BROKER) return new MemoryPubSub();
+
+  const [host, port] = PUBSUB_BROKER.includes(':') ? PUBSUB_BROKER.split(':') : ['127.0.0.1', PUBSUB_BROKER];
+  return new BrokerPubSub({ host, port: parseInt(port, 10), instanceId: INSTANCE_ID });
+};
+
+const pubsub = createPubSub();
+const cluster = new RoomCluster({
+  pubsub,
+  roomManager,
+  createConnection: ws => createConnection(ws),
+  instanceId: INSTANCE_ID
+});
+
+cluster.handle('can-access', (roomId, sessionToken) => roomManager.canAccess(roomId, sessionToken));
+cluster.handle('has-session-permission', (roomId, sessionToken, permission) => (
+  roomManager.hasSessionPermission(roomId, sessionToken, permission)
+));
+cluster.handle('export', roomId => roomManager.exportRoom(roomId));
+cluster.handle('timeline', roomId => roomManager.getTimeline(roomId));
+cluster.handle('revision', (roomId, page) => roomManager.getRoomRevision(roomId, page));
+cluster.handle('page-content', (roomId, page) => roomManager.getPageContent(roomId, page));
+cluster.handle('fork', (roomId, sessionToken, until) => roomManager.forkRoom(roomId, sessionToken, until));
+cluster.handle('import', (roomId, data) => {
+  const updates = roomManager.importRoom(roomId, data);
+  if (updates) {
+    roomManager.broadcastToRoom(roomId, { type: 'update', updates });
+  }
+  return updates;
+});
+
+const sweepExpiredRooms = () => {
+  cluster.sweepExpiredRooms().catch(error => console.error('Failed to sweep expired rooms:', error));
+};
+
+sweepExpiredRooms();
+setInterval(sweepExpiredRooms, Math.min(ROOM_RETENTION_MS, 60 * 60 * 1000) || 60 * 1000).unref();
+
+const handleAsync = handler => (req, res, next) => {
+  handler(req, res, next).catch(next);
+};
+
+const requireRoomAccess = handleAsync(async (req, res, next) => {
+  if (await cluster.call(req.params.roomId, 'can-access', req.get('X-Session-Token'))) {
+    next();
+    return;
+  }
+
+  res.status(403).json({ error: 'You do not have access to this room' });
+});
+
+app.get('/api/rooms/:roomId/export', requireRoomAccess, handleAsync(async (req, res) => {
+  const data = await cluster.call(req.params.roomId, 'export');
+  if (!data) {
+    res.status(404).json({ error: 'Room not found' });
+    return;
+  }
+
+  res.attachment(`${req.params.roomId}.json`);
+  res.json(data);
+}));
+
+const getSnapshotETag = (roomId, pageId, revision, format, options) => {
+  const variant = createHash('sha1').update(JSON.stringify([roomId, pageId, format, options])).digest('hex').slice(0, 12);
+  return `"${revision}-${variant}"`;
+};
+
+const countSnapshotPoints = operations => operations.reduce((total, operation) => (
+  total + (operation.points ? operation.points.length : operation.text ? operation.text.length : 1)
+), 0);
+
+app.get('/api/rooms/:roomId/snapshot.:format(png|svg)', requireRoomAccess, handleAsync(async (req, res) => {
+  let options;
+  try {
+    options = parseSnapshotQuery(req.query);
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  const { roomId, format } = req.params;
+  const current = await cluster.call(roomId, 'revision', options.page || null);
+  if (!current || !current.pageId) {
+    res.status(404).json({ error: current ? 'Page not found' : 'Room not found' });
+    return;
+  }
+
+  const etag = getSnapshotETag(roomId, current.pageId, current.revision, format, options);
+  res.set('Cache-Control', 'no-cache');
+  res.set('ETag', etag);
+  if (req.fresh) {
+    res.status(304).end();
+    return;
+  }
+
+  const cached = snapshots.getCached(etag);
+  if (cached) {
+    res.type(format);
+    res.send(cached);
+    return;
+  }
+
+  const content = await cluster.call(roomId, 'page-content', options.page || null);
+  if (!content || !content.page) {
+    res.removeHeader('ETag');
+    res.status(404).json({ error: content ? 'Page not found' : 'Room not found' });
+    return;
+  }
+
+  const bounds = getExportBounds(content.operations, { layers: content.layers }) || EMPTY_SNAPSHOT_BOUNDS;
+  const scale = options.width ? options.width / bounds.width : (options.scale || 1);
+  const width = Math.round(bounds.width * scale);
+  const height = Math.round(bounds.height * scale);
+  if (!Number.isFinite(scale) || !(width >= 1 && width <= LIMITS.snapshotSize) || !(height >= 1 && height <= LIMITS.snapshotSize)) {
+    res.removeHeader('ETag');
+    res.status(400).json({ error: `Snapshots must be between 1 and ${LIMITS.snapshotSize}px on each side, adjust the width or scale` });
+    return;
+  }
+
+  if (format === 'png' && width * height > LIMITS.snapshotPixels) {
+    res.removeHeader('ETag');
+    res.status(400).json({ error: `PNG snapshots are limited to ${LIMITS.snapshotPixels} pixels, lower the width or scale` });
+    return;
+  }
+
+  if (format === 'png' && countSnapshotPoints(content.operations) > LIMITS.snapshotPoints) {
+    res.removeHeader('ETag');
+    res.status(400).json({ error: 'This page is too detailed for a PNG snapshot, request an SVG instead' });
+    return;
+  }
+
+  const render = {
+    bounds,
+    scale,
+    layers: content.layers,
+    background: options.background === undefined ? DEFAULT_SNAPSHOT_BACKGROUND : options.background
+  };
+  const key = getSnapshotETag(roomId, content.page.id, content.revision, format, options);
+  let body;
+  try {
+    body = await snapshots.render(key, format, content.operations, render);
+  } catch (error) {
+    res.removeHeader('ETag');
+    throw error;
+  }
+
+  res.set('ETag', key);
+  res.type(format);
+  res.send(body);
+}));
+
+const requireImportPermission = handleAsync(async (req, res, next) => {
+  const allowed = await cluster.call(req.params.roomId, 'has-session-permission', req.get('X-Session-Token'), 'clear');
+  if (allowed === null) {
+    res.status(404).json({ error: 'Room not found' });
+    return;
+  }
+  if (allowed) {
+    next();
+    return;
+  }
+
+  res.status(403).json({ error: 'Only the room owner can replace the board' });
+});
+
+app.post('/api/rooms/:roomId/import', requireRoomAccess, requireImportPermission, express.json({ limit: IMPORT_LIMIT }), handleAsync(async (req, res) => {
+  const updates = await cluster.call(req.params.roomId, 'import', req.body);
+  if (!updates) {
+    res.status(400).json({ error: 'Invalid board export' });
+    return;
+  }
+
+  res.json({ imported: updates.filter(update => isOperationType(update.fields.type)).length });
+}));
+
+app.get('/api/rooms/:roomId/timeline', requireRoomAccess, handleAsync(async (req, res) => {
+  const timeline = await cluster.call(req.params.roomId, 'timeline');
+  if (!timeline) {
+    res.status(404).json({ error: 'Room not found' });
+    return;
+  }
+
+  res.json(timeline);
+}));
+
+app.post('/api/rooms/:roomId/fork', requireRoomAccess, express.json(), handleAsync(async (req, res) => {
+  const until = req.body && req.body.until;
+  if (typeof until !== 'number' || !Number.isFinite(until)) {
+    res.status(400).json({ error: 'A point in time to fork at is required' });
+    return;
+  }
+
+  const fork = await cluster.call(req.params.roomId, 'fork', req.get('X-Session-Token'), until);
+  if (!fork) {
+    res.status(403).json({ error: 'Join the room before forking it' });
+    return;
+  }
+
+  res.status(201).json(fork);
+}));
+
+app.use('/api', (error, req, res, next) => {
+  res.status(error.status || 500).json({ error: error.message });
+});
+
+const createConnection = (ws) => {
   let currentUserId = null;
   let currentRoomId = null;
+  let currentClientId = null;
+  let currentStrokeId = null;
+  let receivedFirst = false;
+  const rateLimiter = new ConnectionRateLimiter();
+
+  const sendError = (code, message) => {
+    ws.send(JSON.stringify({ type: 'error', code, message }));
+  };
+
+  const broadcastUpdates = (updates) => {
+    if (updates && updates.length > 0) {
+      roomManager.broadcastToRoom(currentRoomId, { type: 'update', updates });
+    }
+  };
+
+  const relayStroke = (operation) => {
+    roomManager.broadcastToRoom(currentRoomId, {
+      type: 'draw',
+      operation: { ...operation, userId: currentUserId }
+    }, currentUserId);
+  };
+
+  const cancelStroke = () => {
+    if (currentStrokeId === null) return;
+
+    relayStroke({ type: 'draw-cancel', strokeId: currentStrokeId });
+    currentStrokeId = null;
+  };
+
+  const countCreations = (room, updates) => {
+    const created = updates.filter(update => !room.drawingState.document.getType(update.id));
+    const count = predicate => created.filter(update => predicate(update.fields.type)).length;
+
+    return {
+      operations: count(isOperationType),
+      comments: count(isCommentType),
+      layers: count(type => type === 'layer'),
+      pages: count(type => type === 'page')
+    };
+  };
+
+  const checkLimits = (room, { operations, comments = 0, layers, pages }) => {
+    if (room.drawingState.getOperationCount() + operations > LIMITS.roomOperations) {
+      sendError('room-full', `Rooms are limited to ${LIMITS.roomOperations} operations`);
+      return false;
+    }
+
+    if (comments > 0 && room.drawingState.getCommentCount() + comments > LIMITS.roomComments) {
+      sendError('too-many-comments', `Rooms are limited to ${LIMITS.roomComments} comments`);
+      return false;
+    }
+
+    if (layers > 0 && room.drawingState.layers.length + layers > LIMITS.layers) {
+      sendError('too-many-layers', `Rooms are limited to ${LIMITS.layers} layers`);
+      return false;
+    }
+
+    if (pages > 0 && room.drawingState.pages.length + pages > LIMITS.pages) {
+      sendError('too-many-pages', `Rooms are limited to ${LIMITS.pages} pages`);
+      return false;
+    }
+
+    return true;
+  };
+
+  const receive = (data, isBinary = false) => {
+    const first = !receivedFirst;
+    receivedFirst = true;
 
-  ws.on('message', (data) => {
     try {
-      const message = JSON.parse(data.toString());
+      const message = parseMessage(data, isBinary);
+
+      if (!rateLimiter.allow(message)) {
+        sendError('rate-limited', `Too many ${message.type} messages, slow down`);
+        return;
+      }
+
+      const permission = REQUIRED_PERMISSIONS[message.type];
+      if (permission && !roomManager.hasPermission(currentRoomId, currentUserId, permission)) {
+        sendError('forbidden', `Your role does not allow ${message.type}`);
+        return;
+      }
 
       switch (message.type) {
         case 'join': {
-          currentRoomId = message.roomId || 'default';
-          const { user, room } = roomManager.addUser(currentRoomId, ws, message.username);
+          if (!first) {
+            sendError('already-joined', 'Joining must be the first message, open a new connection to switch rooms');
+            break;
+          }
+
+          const roomId = message.roomId || 'default';
+          const binary = message.binaryVersion === BINARY_PROTOCOL_VERSION;
+          let joinResult;
+          try {
+            joinResult = roomManager.addUser(roomId, ws, message.username, {
+              undoMode: message.undoMode,
+              sessionToken: message.sessionToken,
+              password: message.password,
+              inviteToken: message.inviteToken,
+              access: message.access,
+              binary
+            });
+          } catch (error) {
+            if (!(error instanceof RoomAccessError)) throw error;
+
+            ws.send(JSON.stringify({
+              type: 'join-error',
+              code: error.code,
+              message: error.message
+            }));
+            break;
+          }
+
+          const { user, room, sessionToken, resumed } = joinResult;
+          currentRoomId = roomId;
           currentUserId = user.id;
+          currentClientId = message.clientId;
+
+          const updates = message.stateVector
+            ? room.drawingState.getUpdatesSince(message.stateVector)
+            : null;
 
           ws.send(JSON.stringify({
             type: 'joined',
             userId: user.id,
             color: user.color,
             username: user.username,
-            operations: room.drawingState.getVisibleOperations(),
-            users: roomManager.getUserList(room)
+            sessionToken: sessionToken,
+            role: user.role,
+            resumed: resumed,
+            binaryVersion: binary ? BINARY_PROTOCOL_VERSION : null,
+            ...(updates ? { updates } : room.drawingState.getSnapshot()),
+            undoMode: room.drawingState.undoMode,
+            access: roomManager.getAccessInfo(room, user),
+            presenter: roomManager.getPresenter(room),
+            users: roomManager.getUserList(room),
+            chat: room.chat
           }));
 
           roomManager.broadcastToRoom(currentRoomId, {
@@ -47,7 +413,8 @@ wss.on('connection', (ws) => {
             user: {
               id: user.id,
               username: user.username,
-              color: user.color
+              color: user.color,
+              role: user.role
             },
             users: roomManager.getUserList(room)
           }, currentUserId);
@@ -55,32 +422,90 @@ wss.on('connection', (ws) => {
           break;
         }
 
-        case 'draw-start':
-        case 'draw-move':
-        case 'draw-end': {
+        case 'draw-start': {
+          cancelStroke();
+          currentStrokeId = message.strokeId;
+          relayStroke(message);
+          break;
+        }
+
+        case 'draw-move': {
+          const strokeId = isBinary ? currentStrokeId : message.strokeId;
+          if (strokeId === null || strokeId !== currentStrokeId) break;
+
+          relayStroke({ ...message, strokeId });
+          break;
+        }
+
+        case 'draw-cancel': {
+          if (message.strokeId !== currentStrokeId) break;
+
+          cancelStroke();
+          break;
+        }
+
+        case 'shape-preview': {
+          roomManager.broadcastToRoom(currentRoomId, {
+            type: 'shape-preview',
+            userId: currentUserId,
+            shape: message.shape || null
+          }, currentUserId);
+
+          break;
+        }
+
+        case 'text-preview': {
+          roomManager.broadcastToRoom(currentRoomId, {
+            type: 'text-preview',
+            userId: currentUserId,
+            text: message.text || null
+          }, currentUserId);
+
+          break;
+        }
+
+        case 'update': {
           const room = roomManager.getRoom(currentRoomId);
           if (!room) break;
 
-          const operation = {
-            type: message.type,
-            userId: currentUserId,
-            tool: message.tool,
-            color: message.color,
-            lineWidth: message.lineWidth,
-            x: message.x,
-            y: message.y,
-            timestamp: Date.now()
-          };
+          const { document } = room.drawingState;
+          const updates = message.updates.map(update => (
+            validateUpdate(update, document.getType(update.id), currentClientId, document.clock)
+          ));
+          if (!checkLimits(room, countCreations(room, updates))) break;
+
+          if (updates.some(update => update.id === currentStrokeId)) {
+            currentStrokeId = null;
+          }
 
-          if (message.type === 'draw-end') {
-            const opIndex = room.drawingState.addOperation(operation);
-            operation.operationId = opIndex;
+          const result = room.drawingState.acceptUpdates(currentUserId, updates, room.users.get(currentUserId).username);
+          if (result.rejected > 0) {
+            sendError('layer-locked', 'This layer is locked or no longer exists');
+          }
+          broadcastUpdates(result.updates);
+          break;
+        }
+
+        case 'set-role': {
+          const room = roomManager.getRoom(currentRoomId);
+          if (!room || message.userId === currentUserId) break;
+
+          const user = roomManager.setUserRole(currentRoomId, message.userId, message.role);
+          if (!user) break;
+
+          if (user.role === 'viewer') {
+            roomManager.broadcastToRoom(currentRoomId, {
+              type: 'draw',
+              operation: { type: 'draw-cancel', strokeId: null, userId: user.id }
+            });
           }
 
           roomManager.broadcastToRoom(currentRoomId, {
-            type: 'draw',
-            operation: operation
-          }, currentUserId);
+            type: 'role-changed',
+            userId: user.id,
+            role: user.role,
+            users: roomManager.getUserList(room)
+          });
 
           break;
         }
@@ -101,88 +526,155 @@ wss.on('connection', (ws) => {
           break;
         }
 
+        case 'viewport-move': {
+          const viewport = { x: message.x, y: message.y, width: message.width, height: message.height };
+          if (!roomManager.updateUserViewport(currentRoomId, currentUserId, viewport)) break;
+
+          roomManager.broadcastToRoom(currentRoomId, {
+            type: 'viewport-update',
+            userId: currentUserId,
+            ...viewport
+          }, currentUserId);
+
+          break;
+        }
+
         case 'undo': {
           const room = roomManager.getRoom(currentRoomId);
           if (!room) break;
 
-          const result = room.drawingState.undo();
-          if (result.success) {
-            roomManager.broadcastToRoom(currentRoomId, {
-              type: 'undo',
-              currentIndex: result.currentIndex,
-              operations: result.operations
-            });
+          broadcastUpdates(room.drawingState.undo(currentUserId, message.pageId));
+          break;
+        }
 
-            ws.send(JSON.stringify({
-              type: 'undo',
-              currentIndex: result.currentIndex,
-              operations: result.operations
-            }));
-          }
+        case 'redo': {
+          const room = roomManager.getRoom(currentRoomId);
+          if (!room) break;
 
+          broadcastUpdates(room.drawingState.redo(currentUserId, message.pageId));
           break;
         }
 
-        case 'redo': {
+        case 'clear': {
           const room = roomManager.getRoom(currentRoomId);
           if (!room) break;
 
-          const result = room.drawingState.redo();
-          if (result.success) {
-            roomManager.broadcastToRoom(currentRoomId, {
-              type: 'redo',
-              currentIndex: result.currentIndex,
-              operations: result.operations
-            });
+          broadcastUpdates(room.drawingState.clear(message.pageId));
+          break;
+        }
 
-            ws.send(JSON.stringify({
-              type: 'redo',
-              currentIndex: result.currentIndex,
-              operations: result.operations
-            }));
-          }
+        case 'page-duplicate': {
+          const room = roomManager.getRoom(currentRoomId);
+          if (!room || !room.drawingState.getPage(message.pageId)) break;
 
+          const copies = {
+            operations: room.drawingState.getPageOperations(message.pageId).length,
+            layers: room.drawingState.getPageLayers(message.pageId).length,
+            pages: 1
+          };
+          if (!checkLimits(room, copies)) break;
+
+          broadcastUpdates(room.drawingState.duplicatePage(message.pageId));
           break;
         }
 
-        case 'clear': {
+        case 'page-delete': {
           const room = roomManager.getRoom(currentRoomId);
           if (!room) break;
 
-          room.drawingState.clear();
+          const updates = room.drawingState.deletePage(message.pageId);
+          if (!updates) {
+            sendError('invalid-page', 'Rooms must keep at least one page');
+            break;
+          }
+          broadcastUpdates(updates);
+          break;
+        }
+
+        case 'page-view': {
+          if (!roomManager.setUserPage(currentRoomId, currentUserId, message.pageId)) break;
 
           roomManager.broadcastToRoom(currentRoomId, {
-            type: 'clear'
-          });
+            type: 'page-view',
+            userId: currentUserId,
+            pageId: message.pageId
+          }, currentUserId);
 
-          ws.send(JSON.stringify({
-            type: 'clear'
-          }));
+          break;
+        }
+
+        case 'present': {
+          const presenter = roomManager.setPresenter(currentRoomId, message.active ? currentUserId : null);
+          roomManager.broadcastToRoom(currentRoomId, { type: 'presenter', presenter });
+          break;
+        }
+
+        case 'chat': {
+          const entry = roomManager.addChatMessage(currentRoomId, currentUserId, message.text);
+          if (!entry) break;
+
+          roomManager.broadcastToRoom(currentRoomId, { type: 'chat', message: entry });
+          break;
+        }
+
+        case 'chat-typing': {
+          roomManager.broadcastToRoom(currentRoomId, {
+            type: 'chat-typing',
+            userId: currentUserId,
+            typing: message.typing
+          }, currentUserId);
+
+          break;
+        }
+
+        case 'reaction': {
+          roomManager.broadcastToRoom(currentRoomId, {
+            type: 'reaction',
+            userId: currentUserId,
+            emoji: message.emoji,
+            x: message.x,
+            y: message.y
+          }, currentUserId);
 
           break;
         }
       }
     } catch (error) {
+      if (error instanceof ValidationError) {
+        ws.send(JSON.stringify({
+          type: currentUserId === null ? 'join-error' : 'error',
+          code: error.code,
+          message: error.message
+        }));
+        return;
+      }
+
       console.error('Error processing message:', error);
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Failed to process message'
-      }));
+      sendError('internal', 'Failed to process message');
     }
-  });
+  };
+
+  const close = () => {
+    if (currentRoomId && currentUserId && roomManager.isCurrentConnection(currentRoomId, currentUserId, ws)) {
+      cancelStroke();
 
-  ws.on('close', () => {
-    if (currentRoomId && currentUserId) {
       const room = roomManager.removeUser(currentRoomId, currentUserId);
       if (room) {
         roomManager.broadcastToRoom(currentRoomId, {
           type: 'user-left',
           userId: currentUserId,
+          presenter: roomManager.getPresenter(room),
           users: roomManager.getUserList(room)
         });
       }
     }
-  });
+  };
+
+  return { receive, close };
+};
+
+wss.on('connection', (ws) => {
+  cluster.accept(ws);
 
   ws.on('error', (error) => {
     console.error('WebSocket error:', error);
@@ -190,6 +682,9 @@ wss.on('connection', (ws) => {
 });
 
 process.on('SIGTERM', () => {
+  roomManager.saveAll();
+  pubsub.close();
+  snapshots.close();
   server.close(() => {
     console.log('Server shut down');
     process.exit(0);
@@ -0,0 +1,10 @@
+import { parentPort } from 'worker_threads';
+import { renderPNG } from './raster.js';
+
+parentPort.on('message', ({ id, operations, options }) => {
+  try {
+    parentPort.postMessage({ id, png: renderPNG(operations, options) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,124 @@
+import { Worker } from 'worker_threads';
+import { renderSVG } from '../shared/svg.js';
+
+const WORKER_URL = new URL('./snapshot-worker.js', import.meta.url);
+const RENDER_TIMEOUT_MS = 15000;
+const MAX_QUEUED_RENDERS = 4;
+const CACHE_ENTRIES = 64;
+const CACHE_BYTES = 64 * 1024 * 1024;
+
+export class RenderError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RenderError';
+    this.code = code;
+    this.status = 503;
+  }
+}
+
+export class SnapshotRenderer {
+  constructor() {
+    this.worker = null;
+    this.jobs = new Map();
+    this.nextJobId = 1;
+    this.cache = new Map();
+    this.cacheBytes = 0;
+  }
+
+  getCached(key) {
+    const body = this.cache.get(key);
+    if (!body) return null;
+
+    this.cache.delete(key);
+    this.cache.set(key, body);
+    return body;
+  }
+
+  store(key, body) {
+    this.cache.set(key, body);
+    this.cacheBytes += body.length;
+
+    for (const [oldest, cached] of this.cache) {
+      if (this.cache.size <= CACHE_ENTRIES && this.cacheBytes <= CACHE_BYTES) break;
+
+      this.cache.delete(oldest);
+      this.cacheBytes -= cached.length;
+    }
+  }
+
+  async render(key, format, operations, options) {
+    const cached = this.getCached(key);
+    if (cached) return cached;
+
+    const body = format === 'png'
+      ? await this.renderInWorker(key, operations, options)
+      : Buffer.from(renderSVG(operations, options));
+    this.store(key, body);
+    return body;
+  }
+
+  renderInWorker(key, operations, options) {
+    const running = Array.from(this.jobs.values()).find(job => job.key === key);
+    if (running) return running.promise;
+
+    if (this.jobs.size >= MAX_QUEUED_RENDERS) {
+      return Promise.reject(new RenderError('busy', 'Too many snapshots are rendering, try again shortly'));
+    }
+
+    const id = this.nextJobId++;
+    const job = { key, resolve: null, reject: null, timer: null, promise: null };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    this.jobs.set(id, job);
+
+    const worker = this.getWorker();
+    job.timer = setTimeout(() => this.restart(worker, new RenderError('timeout', 'Snapshot took too long to render')), RENDER_TIMEOUT_MS);
+    worker.postMessage({ id, operations, options });
+    return job.promise;
+  }
+
+  getWorker() {
+    if (this.worker) return this.worker;
+
+    const worker = new Worker(WORKER_URL);
+    worker.unref();
+    worker.on('message', ({ id, png, error }) => this.finish(id, png, error));
+    worker.on('error', error => this.restart(worker, error));
+    worker.on('exit', () => this.restart(worker, new RenderError('crashed', 'Snapshot renderer stopped')));
+    this.worker = worker;
+    return worker;
+  }
+
+  finish(id, png, error) {
+    const job = this.jobs.get(id);
+    if (!job) return;
+
+    this.jobs.delete(id);
+    clearTimeout(job.timer);
+    if (error) {
+      job.reject(new Error(error));
+    } else {
+      job.resolve(Buffer.from(png.buffer, png.byteOffset, png.byteLength));
+    }
+  }
+
+  restart(worker, error) {
+    if (this.worker !== worker) return;
+
+    this.worker = null;
+    worker.terminate();
+    this.jobs.forEach(job => {
+      clearTimeout(job.timer);
+      job.reject(error);
+    });
+    this.jobs.clear();
+  }
+
+  close() {
+    if (this.worker) {
+      this.restart(this.worker, new RenderError('closed', 'Snapshot renderer closed'));
+    }
+  }
+}
@@ -0,0 +1,136 @@
+import fs from 'fs';
+import { join } from 'path';
+
+const SNAPSHOT_SUFFIX = '.snapshot.json';
+const LOG_SUFFIX = '.log.jsonl';
+
+export class MemoryStorage {
+  constructor() {
+    this.rooms = new Map();
+  }
+
+  load(roomId) {
+    const record = this.rooms.get(roomId);
+    if (!record) return null;
+
+    return {
+      snapshot: record.snapshot,
+      log: record.log.slice()
+    };
+  }
+
+  exists(roomId) {
+    return this.rooms.has(roomId);
+  }
+
+  append(roomId, entry) {
+    const record = this.getRecord(roomId);
+    record.log.push(JSON.parse(JSON.stringify(entry)));
+    record.updatedAt = Date.now();
+  }
+
+  writeSnapshot(roomId, snapshot) {
+    const record = this.getRecord(roomId);
+    record.snapshot = JSON.parse(JSON.stringify(snapshot));
+    record.log = [];
+    record.updatedAt = Date.now();
+  }
+
+  delete(roomId) {
+    this.rooms.delete(roomId);
+  }
+
+  list() {
+    return Array.from(this.rooms.entries()).map(([roomId, record]) => ({
+      roomId,
+      updatedAt: record.updatedAt
+    }));
+  }
+
+  getRecord(roomId) {
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, { snapshot: null, log: [], updatedAt: Date.now() });
+    }
+    return this.rooms.get(roomId);
+  }
+}
+
+export class FileStorage {
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  load(roomId) {
+    const snapshot = this.readJson(this.snapshotPath(roomId));
+    const log = this.readLog(this.logPath(roomId));
+
+    if (!snapshot && log.length === 0) return null;
+    return { snapshot, log };
+  }
+
+  exists(roomId) {
+    return fs.existsSync(this.snapshotPath(roomId)) || fs.existsSync(this.logPath(roomId));
+  }
+
+  append(roomId, entry) {
+    fs.appendFileSync(this.logPath(roomId), JSON.stringify(entry) + '\n');
+  }
+
+  writeSnapshot(roomId, snapshot) {
+    const path = this.snapshotPath(roomId);
+    const tempPath = `${path}.tmp`;
+
+    fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+    fs.renameSync(tempPath, path);
+    fs.writeFileSync(this.logPath(roomId), '');
+  }
+
+  delete(roomId) {
+    fs.rmSync(this.snapshotPath(roomId), { force: true });
+    fs.rmSync(this.logPath(roomId), { force: true });
+  }
+
+  list() {
+    const rooms = new Map();
+
+    fs.readdirSync(this.directory).forEach(file => {
+      const suffix = [SNAPSHOT_SUFFIX, LOG_SUFFIX].find(s => file.endsWith(s));
+      if (!suffix) return;
+
+      const roomId = decodeURIComponent(file.slice(0, -suffix.length));
+      const { mtimeMs } = fs.statSync(join(this.directory, file));
+      rooms.set(roomId, Math.max(rooms.get(roomId) || 0, mtimeMs));
+    });
+
+    return Array.from(rooms.entries()).map(([roomId, updatedAt]) => ({ roomId, updatedAt }));
+  }
+
+  snapshotPath(roomId) {
+    return join(this.directory, encodeURIComponent(roomId) + SNAPSHOT_SUFFIX);
+  }
+
+  logPath(roomId) {
+    return join(this.directory, encodeURIComponent(roomId) + LOG_SUFFIX);
+  }
+
+  readJson(path) {
+    if (!fs.existsSync(path)) return null;
+    return JSON.parse(fs.readFileSync(path, 'utf8'));
+  }
+
+  readLog(path) {
+    if (!fs.existsSync(path)) return [];
+
+    const entries = [];
+    fs.readFileSync(path, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        console.error(`Skipping corrupt log entry in ${path}`);
+      }
+    });
+    return entries;
+  }
+}
@@ -0,0 +1,472 @@
+import { isMatrix } from '../shared/geometry.js';
+import { SERVER_CLIENT_ID } from '../shared/crdt.js';
+import { decodeClientMessage } from '../shared/wire.js';
+import { REACTIONS } from '../shared/reactions.js';
+import { INVALID_XML_CHARACTERS } from '../shared/svg.js';
+import { SHAPES, UNDO_MODES } from './drawing-state.js';
+
+export const LIMITS = {
+  messageBytes: 256 * 1024,
+  pointsPerMessage: 1000,
+  strokePoints: 10000,
+  roomOperations: 20000,
+  roomComments: 5000,
+  roomUsers: 50,
+  roomSessions: 1000,
+  updatesPerMessage: 1000,
+  stateVectorEntries: 10000,
+  layers: 100,
+  pages: 50,
+  layerNameLength: 64,
+  textLength: 5000,
+  chatLength: 500,
+  chatHistory: 100,
+  usernameLength: 32,
+  roomIdLength: 64,
+  passwordLength: 128,
+  coordinate: 1e6,
+  transformScale: 1000,
+  clockDrift: 100000,
+  snapshotSize: 4096,
+  snapshotPixels: 4096 * 2048,
+  snapshotPoints: 50000
+};
+
+export class ValidationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = code;
+  }
+}
+
+const TOOLS = ['brush', 'eraser'];
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const TOKEN_PATTERN = /^[0-9a-f]{1,64}$/i;
+const OBJECT_ID_PATTERN = /^(?:[slp]\d{1,15}|[a-z0-9]{1,16}-\d{1,15})$/;
+const CLIENT_ID_PATTERN = /^[a-z0-9]{1,16}$/;
+const OBJECT_FIELDS = {
+  stroke: ['layerId', 'tool', 'color', 'lineWidth', 'points', 'transform'],
+  shape: ['layerId', 'shape', 'color', 'lineWidth', 'fill', 'x1', 'y1', 'x2', 'y2', 'transform'],
+  text: ['layerId', 'text', 'x', 'y', 'color', 'fontSize', 'transform'],
+  note: ['layerId', 'text', 'x', 'y', 'color', 'fontSize', 'transform'],
+  thread: ['pageId', 'x', 'y', 'resolved'],
+  comment: ['threadId', 'text'],
+  layer: ['name', 'visible', 'locked', 'position', 'pageId'],
+  page: ['name', 'position']
+};
+const OPTIONAL_FIELDS = ['layerId', 'pageId', 'fill', 'transform'];
+
+function fail(path, expectation) {
+  throw new ValidationError('invalid-field', `${path} must be ${expectation}`);
+}
+
+function optional(validate) {
+  return (value, path) => (value === undefined ? undefined : validate(value, path));
+}
+
+function nullable(validate) {
+  return (value, path) => (value === null || value === undefined ? null : validate(value, path));
+}
+
+function number(min, max) {
+  return (value, path) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      fail(path, `a number between ${min} and ${max}`);
+    }
+    return value;
+  };
+}
+
+function integer(min, max) {
+  return (value, path) => {
+    if (!Number.isInteger(value) || value < min || value > max) {
+      fail(path, `an integer between ${min} and ${max}`);
+    }
+    return value;
+  };
+}
+
+function string(maxLength, { trim = false, multiline = false, pattern = null } = {}) {
+  return (value, path) => {
+    if (typeof value !== 'string') fail(path, 'a string');
+
+    let result = value;
+    if (trim) {
+      result = value.replace(/[\u0000-\u001f\u007f]/g, '').trim();
+    } else if (multiline) {
+      result = value.replace(/\r\n?/g, '\n').replace(INVALID_XML_CHARACTERS, '');
+    }
+    if (result.length > maxLength) fail(path, `at most ${maxLength} characters`);
+    if (pattern && !pattern.test(result)) fail(path, 'well formed');
+    return result;
+  };
+}
+
+function oneOf(values) {
+  return (value, path) => {
+    if (!values.includes(value)) fail(path, `one of ${values.join(', ')}`);
+    return value;
+  };
+}
+
+function boolean(value, path) {
+  if (typeof value !== 'boolean') fail(path, 'a boolean');
+  return value;
+}
+
+function array(validate, maxLength) {
+  return (value, path) => {
+    if (!Array.isArray(value)) fail(path, 'an array');
+    if (value.length > maxLength) {
+      throw new ValidationError('too-large', `${path} must have at most ${maxLength} entries`);
+    }
+    return value.map((item, i) => validate(item, `${path}[${i}]`));
+  };
+}
+
+function object(schema) {
+  return (value, path) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) fail(path, 'an object');
+
+    const result = {};
+    Object.entries(schema).forEach(([key, validate]) => {
+      const field = validate(value[key], path ? `${path}.${key}` : key);
+      if (field !== undefined) {
+        result[key] = field;
+      }
+    });
+    return result;
+  };
+}
+
+function matrix(value, path) {
+  if (!isMatrix(value)) fail(path, 'a 2D transform matrix');
+
+  const scale = LIMITS.transformScale;
+  const translation = LIMITS.coordinate * scale;
+  if (value.slice(0, 4).some(term => Math.abs(term) > scale) ||
+      value.slice(4).some(term => Math.abs(term) > translation) ||
+      Math.abs(value[0] * value[3] - value[1] * value[2]) < 1 / (scale * scale)) {
+    fail(path, `a 2D transform matrix that scales by at most ${scale} and can be inverted`);
+  }
+  return value;
+}
+
+const coordinate = number(-LIMITS.coordinate, LIMITS.coordinate);
+const extent = number(0, LIMITS.coordinate * 2);
+const color = string(7, { pattern: COLOR_PATTERN });
+const lineWidth = number(1, 100);
+const fontSize = number(4, 400);
+const pressure = number(0, 1);
+const objectId = string(40, { pattern: OBJECT_ID_PATTERN });
+const text = string(LIMITS.textLength, { multiline: true });
+const layerId = objectId;
+const pageId = objectId;
+const layerName = string(LIMITS.layerNameLength, { trim: true });
+const chatText = nonBlank(string(LIMITS.chatLength, { trim: true }));
+const counter = integer(1, Number.MAX_SAFE_INTEGER);
+
+function clientId(value, path) {
+  const result = string(16, { pattern: CLIENT_ID_PATTERN })(value, path);
+  if (result === SERVER_CLIENT_ID) fail(path, 'a client id');
+  return result;
+}
+
+function pair(validateFirst, validateSecond) {
+  return (value, path) => {
+    if (!Array.isArray(value) || value.length !== 2) fail(path, 'a pair');
+    return [validateFirst(value[0], `${path}[0]`), validateSecond(value[1], `${path}[1]`)];
+  };
+}
+
+function nonBlank(validate) {
+  return (value, path) => {
+    const result = validate(value, path);
+    if (result.trim() === '') fail(path, 'non-empty');
+    return result;
+  };
+}
+
+const point = object({ x: coordinate, y: coordinate, p: optional(pressure) });
+
+const FIELD_VALIDATORS = {
+  type: oneOf(Object.keys(OBJECT_FIELDS)),
+  deleted: boolean,
+  layerId: layerId,
+  pageId: pageId,
+  tool: oneOf(TOOLS),
+  color: color,
+  lineWidth: lineWidth,
+  points: array(point, LIMITS.strokePoints),
+  shape: oneOf(SHAPES),
+  fill: boolean,
+  x1: coordinate,
+  y1: coordinate,
+  x2: coordinate,
+  y2: coordinate,
+  text: nonBlank(text),
+  x: coordinate,
+  y: coordinate,
+  fontSize: fontSize,
+  transform: nullable(matrix),
+  name: nonBlank(layerName),
+  visible: boolean,
+  locked: boolean,
+  position: number(-1e9, 1e9),
+  resolved: boolean,
+  threadId: objectId
+};
+
+function objectFields(value, path) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) fail(path, 'an object');
+
+  const result = {};
+  Object.keys(value).forEach(key => {
+    if (!FIELD_VALIDATORS[key]) fail(`${path}.${key}`, 'a known field');
+    result[key] = FIELD_VALIDATORS[key](value[key], `${path}.${key}`);
+  });
+  return result;
+}
+
+const update = object({ id: objectId, clock: pair(counter, clientId), fields: objectFields });
+
+const shapeFields = {
+  shape: oneOf(SHAPES),
+  layerId: optional(layerId),
+  color: color,
+  lineWidth: lineWidth,
+  fill: optional(boolean),
+  x1: coordinate,
+  y1: coordinate,
+  x2: coordinate,
+  y2: coordinate
+};
+
+const textFields = {
+  text: text,
+  layerId: optional(layerId),
+  x: coordinate,
+  y: coordinate,
+  color: color,
+  fontSize: fontSize
+};
+
+const MESSAGE_SCHEMAS = {
+  'join': {
+    roomId: optional(string(LIMITS.roomIdLength, { trim: true })),
+    username: optional(string(LIMITS.usernameLength, { trim: true })),
+    undoMode: optional(oneOf(UNDO_MODES)),
+    sessionToken: optional(string(64, { pattern: TOKEN_PATTERN })),
+    clientId: clientId,
+    stateVector: optional(array(pair(string(16), integer(0, Number.MAX_SAFE_INTEGER)), LIMITS.stateVectorEntries)),
+    binaryVersion: optional(integer(0, 255)),
+    password: optional(string(LIMITS.passwordLength)),
+    inviteToken: optional(string(64, { pattern: TOKEN_PATTERN })),
+    access: optional(object({
+      private: optional(boolean),
+      locked: optional(boolean),
+      password: optional(string(LIMITS.passwordLength)),
+      defaultRole: optional(oneOf(['editor', 'viewer'])),
+      allowedUsers: optional(array(string(LIMITS.usernameLength, { trim: true }), 100))
+    }))
+  },
+  'draw-start': { strokeId: objectId, x: coordinate, y: coordinate, p: optional(pressure), tool: oneOf(TOOLS), color: color, lineWidth: lineWidth, layerId: optional(layerId) },
+  'draw-move': { strokeId: objectId, points: array(point, LIMITS.pointsPerMessage) },
+  'draw-cancel': { strokeId: objectId },
+  'shape-preview': { shape: nullable(object({ ...shapeFields, type: optional(oneOf(['shape'])) })) },
+  'text-preview': {
+    text: nullable(object({
+      ...textFields,
+      type: optional(oneOf(['text', 'note'])),
+      targetId: nullable(objectId),
+      transform: optional(matrix)
+    }))
+  },
+  'update': { updates: array(update, LIMITS.updatesPerMessage) },
+  'set-role': { userId: integer(1, Number.MAX_SAFE_INTEGER), role: oneOf(['editor', 'viewer']) },
+  'cursor-move': { x: coordinate, y: coordinate },
+  'viewport-move': { x: coordinate, y: coordinate, width: extent, height: extent },
+  'undo': { pageId: optional(pageId) },
+  'redo': { pageId: optional(pageId) },
+  'clear': { pageId: optional(pageId) },
+  'page-duplicate': { pageId: pageId },
+  'page-delete': { pageId: pageId },
+  'page-view': { pageId: pageId },
+  'present': { active: boolean },
+  'chat': { text: chatText },
+  'chat-typing': { typing: boolean },
+  'reaction': { emoji: oneOf(REACTIONS), x: coordinate, y: coordinate }
+};
+
+const BINARY_SCHEMAS = {
+  'draw-move': { points: MESSAGE_SCHEMAS['draw-move'].points },
+  'cursor-move': MESSAGE_SCHEMAS['cursor-move'],
+  'viewport-move': MESSAGE_SCHEMAS['viewport-move']
+};
+
+function parseBinaryMessage(data) {
+  let message;
+  try {
+    message = decodeClientMessage(data);
+  } catch (error) {
+    throw new ValidationError('invalid-binary', error.message);
+  }
+
+  if (!message) {
+    throw new ValidationError('unknown-type', 'Unknown binary message type');
+  }
+
+  return { type: message.type, ...object(BINARY_SCHEMAS[message.type])(message, '') };
+}
+
+export function parseMessage(data, isBinary = false) {
+  if (data.length > LIMITS.messageBytes) {
+    throw new ValidationError('too-large', `Messages must be at most ${LIMITS.messageBytes} bytes`);
+  }
+
+  if (isBinary) {
+    return parseBinaryMessage(data);
+  }
+
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    throw new ValidationError('invalid-json', 'Message is not valid JSON');
+  }
+
+  if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+    throw new ValidationError('invalid-message', 'Message must be an object with a type');
+  }
+
+  const schema = MESSAGE_SCHEMAS[message.type];
+  if (!schema) {
+    throw new ValidationError('unknown-type', `Unknown message type: ${message.type}`);
+  }
+
+  return { type: message.type, ...object(schema)(message, '') };
+}
+
+export function validateUpdate({ id, clock, fields }, existingType, ownClientId, roomClock) {
+  if (clock[1] !== ownClientId) fail('update.clock', 'stamped with your client id');
+  if (clock[0] > roomClock + LIMITS.clockDrift) fail('update.clock', `at most ${LIMITS.clockDrift} ahead of the room clock`);
+
+  const type = existingType || fields.type;
+  if (!type) fail('update.fields.type', 'set when creating an object');
+  if (existingType && fields.type !== undefined) fail('update.fields.type', 'unchanged');
+  if (!existingType && !id.startsWith(`${ownClientId}-`)) fail('update.id', 'prefixed with your client id');
+
+  const allowed = OBJECT_FIELDS[type].concat('deleted');
+  const result = existingType ? {} : { type };
+  Object.entries(fields).filter(([key]) => key !== 'type').forEach(([key, value]) => {
+    if (!allowed.includes(key)) fail(`update.fields.${key}`, `a ${type} field`);
+    result[key] = value;
+  });
+
+  if (!existingType) {
+    const missing = OBJECT_FIELDS[type].find(key => !OPTIONAL_FIELDS.includes(key) && result[key] === undefined);
+    if (missing) fail(`update.fields.${missing}`, 'set when creating an object');
+  }
+
+  return { id, clock, fields: result };
+}
+
+const textSchema = object({
+  ...textFields,
+  id: objectId,
+  userId: nullable(integer(0, Number.MAX_SAFE_INTEGER)),
+  transform: optional(matrix),
+  timestamp: optional(number(0, Number.MAX_SAFE_INTEGER))
+});
+
+const operationSchemas = {
+  stroke: object({
+    id: objectId,
+    userId: nullable(integer(0, Number.MAX_SAFE_INTEGER)),
+    layerId: optional(layerId),
+    tool: oneOf(TOOLS),
+    color: color,
+    lineWidth: lineWidth,
+    points: array(point, LIMITS.strokePoints),
+    transform: optional(matrix),
+    timestamp: optional(number(0, Number.MAX_SAFE_INTEGER))
+  }),
+  shape: object({
+    ...shapeFields,
+    id: objectId,
+    userId: nullable(integer(0, Number.MAX_SAFE_INTEGER)),
+    transform: optional(matrix),
+    timestamp: optional(number(0, Number.MAX_SAFE_INTEGER))
+  }),
+  text: textSchema,
+  note: textSchema
+};
+
+export function sanitizeOperation(operation) {
+  if (!operation || !operationSchemas[operation.type]) return null;
+
+  try {
+    return { type: operation.type, ...operationSchemas[operation.type](operation, 'operation') };
+  } catch (error) {
+    if (error instanceof ValidationError) return null;
+    throw error;
+  }
+}
+
+const layersSchema = array(object({
+  id: layerId,
+  name: layerName,
+  visible: boolean,
+  locked: boolean,
+  pageId: optional(pageId)
+}), LIMITS.layers);
+
+const pagesSchema = array(object({
+  id: pageId,
+  name: layerName
+}), LIMITS.pages);
+
+function sanitizeList(schema, items, path) {
+  try {
+    const result = schema(items, path);
+    return new Set(result.map(item => item.id)).size === result.length ? result : null;
+  } catch (error) {
+    if (error instanceof ValidationError) return null;
+    throw error;
+  }
+}
+
+export function sanitizeLayers(layers) {
+  return sanitizeList(layersSchema, layers, 'layers');
+}
+
+export function sanitizePages(pages) {
+  return sanitizeList(pagesSchema, pages, 'pages');
+}
+
+function queryNumber(validate) {
+  return (value, path) => validate(typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN, path);
+}
+
+function snapshotBackground(value, path) {
+  if (value === 'transparent') return null;
+  return color(typeof value === 'string' && !value.startsWith('#') ? `#${value}` : value, path);
+}
+
+function snapshotPage(value, path) {
+  return typeof value === 'string' && /^\d+$/.test(value)
+    ? integer(1, LIMITS.pages)(Number(value), path)
+    : pageId(value, path);
+}
+
+const snapshotQuery = object({
+  width: optional(queryNumber(integer(1, LIMITS.snapshotSize))),
+  scale: optional(queryNumber(number(0.01, 16))),
+  background: optional(snapshotBackground),
+  page: optional(snapshotPage)
+});
+
+export function parseSnapshotQuery(query) {
+  return snapshotQuery(query, '');
+}
@@ -0,0 +1,175 @@
+export const SERVER_CLIENT_ID = 'server';
+
+const OPERATION_TYPES = ['stroke', 'shape', 'text', 'note'];
+const COMMENT_TYPES = ['thread', 'comment'];
+
+export function isOperationType(type) {
+  return OPERATION_TYPES.includes(type);
+}
+
+export function isCommentType(type) {
+  return COMMENT_TYPES.includes(type);
+}
+
+export function compareClocks(a, b) {
+  if (a[0] !== b[0]) return a[0] - b[0];
+  if (a[1] === b[1]) return 0;
+  return a[1] < b[1] ? -1 : 1;
+}
+
+export class BoardDocument {
+  constructor() {
+    this.objects = new Map();
+    this.clock = 0;
+    this.stateVector = new Map();
+    this.tombstones = new Set();
+  }
+
+  static fromJSON(data) {
+    const document = new BoardDocument();
+    data.objects.forEach(([id, fields]) => {
+      document.objects.set(id, new Map(Object.entries(fields).map(([field, [value, counter, clientId]]) => (
+        [field, { value, clock: [counter, clientId] }]
+      ))));
+    });
+    document.clock = data.clock;
+    document.stateVector = new Map(data.stateVector);
+    document.tombstones = new Set(data.tombstones || []);
+    return document;
+  }
+
+  toJSON() {
+    return {
+      objects: Array.from(this.objects.entries(), ([id, fields]) => [id, Object.fromEntries(
+        Array.from(fields.entries(), ([field, { value, clock }]) => [field, [value, clock[0], clock[1]]])
+      )]),
+      clock: this.clock,
+      stateVector: this.getStateVector(),
+      tombstones: Array.from(this.tombstones)
+    };
+  }
+
+  getStateVector() {
+    return Array.from(this.stateVector.entries());
+  }
+
+  tick(clientId) {
+    this.clock++;
+    return [this.clock, clientId];
+  }
+
+  observe(clock) {
+    this.clock = Math.max(this.clock, clock[0]);
+    if (clock[0] > (this.stateVector.get(clock[1]) || 0)) {
+      this.stateVector.set(clock[1], clock[0]);
+    }
+  }
+
+  applyUpdate({ id, clock, fields }) {
+    this.observe(clock);
+    if (this.tombstones.has(id)) return { id, created: false, changes: {}, previous: {} };
+
+    let object = this.objects.get(id);
+    if (!object) {
+      object = new Map();
+      this.objects.set(id, object);
+    }
+
+    const created = !object.has('type') && fields.type !== undefined;
+    const changes = {};
+    const previous = {};
+    Object.entries(fields).forEach(([field, value]) => {
+      const current = object.get(field);
+      if (current && compareClocks(current.clock, clock) >= 0) return;
+
+      previous[field] = current ? current.value : null;
+      changes[field] = value;
+      object.set(field, { value, clock });
+    });
+
+    return { id, created, changes, previous };
+  }
+
+  getType(id) {
+    const object = this.objects.get(id);
+    return object && object.has('type') ? object.get('type').value : null;
+  }
+
+  isDeleted(id) {
+    const object = this.objects.get(id);
+    return !object || !object.has('type') || Boolean(object.has('deleted') && object.get('deleted').value);
+  }
+
+  getClock(id, field) {
+    const object = this.objects.get(id);
+    const value = object ? object.get(field) : null;
+    return value ? value.clock : null;
+  }
+
+  get(id) {
+    const object = this.objects.get(id);
+    if (!object || !object.has('type')) return null;
+
+    const result = { id };
+    object.forEach(({ value }, field) => {
+      if (field !== 'deleted' && value !== null) {
+        result[field] = value;
+      }
+    });
+    return result;
+  }
+
+  getObjects(predicate) {
+    return Array.from(this.objects.entries())
+      .filter(([id, object]) => object.has('type') && predicate(object.get('type').value))
+      .sort(([idA, a], [idB, b]) => compareClocks(a.get('type').clock, b.get('type').clock) || (idA < idB ? -1 : 1))
+      .map(([id]) => this.get(id));
+  }
+
+  compact(id) {
+    if (this.tombstones.has(id) || !this.getType(id) || !this.isDeleted(id)) return;
+
+    const object = this.objects.get(id);
+    this.objects.set(id, new Map([['type', object.get('type')], ['deleted', object.get('deleted')]]));
+    this.tombstones.add(id);
+  }
+
+  countRetained(predicate) {
+    let count = 0;
+    this.objects.forEach((object, id) => {
+      if (object.has('type') && predicate(object.get('type').value) && !this.tombstones.has(id)) {
+        count++;
+      }
+    });
+    return count;
+  }
+
+  getUpdatesSince(stateVector = []) {
+    const known = new Map(stateVector);
+    const updates = new Map();
+
+    this.objects.forEach((object, id) => {
+      object.forEach(({ value, clock }, field) => {
+        if (clock[0] <= (known.get(clock[1]) || 0)) return;
+
+        const key = `${id}@${clock[0]}:${clock[1]}`;
+        if (!updates.has(key)) {
+          updates.set(key, { id, clock, fields: {} });
+        }
+        updates.get(key).fields[field] = value;
+      });
+    });
+
+    return Array.from(updates.values()).sort((a, b) => compareClocks(a.clock, b.clock));
+  }
+}
+
+export function replayTimeline({ base, entries }, until = Infinity) {
+  const document = BoardDocument.fromJSON(base);
+  entries.forEach(({ time, updates }) => {
+    if (time <= until) {
+      updates.forEach(update => document.applyUpdate(update));
+    }
+  });
+  return document;
+}
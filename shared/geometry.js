@@ -0,0 +1,188 @@
+import { NOTE_MIN_SIZE, NOTE_PADDING } from './notes.js';
+
+export const IDENTITY = [1, 0, 0, 1, 0, 0];
+export const TEXT_LINE_HEIGHT = 1.2;
+export const PRESSURE_MIN_FACTOR = 0.25;
+export const PRESSURE_MAX_FACTOR = 1.75;
+
+export function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+  ];
+}
+
+export function invert(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (det === 0) return IDENTITY;
+
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det
+  ];
+}
+
+export function applyToPoint(m, point) {
+  return {
+    x: m[0] * point.x + m[2] * point.y + m[4],
+    y: m[1] * point.x + m[3] * point.y + m[5]
+  };
+}
+
+export function translation(dx, dy) {
+  return [1, 0, 0, 1, dx, dy];
+}
+
+export function scaling(sx, sy, origin) {
+  return [sx, 0, 0, sy, origin.x - sx * origin.x, origin.y - sy * origin.y];
+}
+
+export function rotation(angle, origin) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return multiply(translation(origin.x, origin.y), multiply([cos, sin, -sin, cos, 0, 0], translation(-origin.x, -origin.y)));
+}
+
+export function isMatrix(value) {
+  return Array.isArray(value) && value.length === 6 && value.every(Number.isFinite);
+}
+
+export function pressureWidth(lineWidth, pressure) {
+  if (pressure === undefined) return lineWidth;
+  return lineWidth * (PRESSURE_MIN_FACTOR + (PRESSURE_MAX_FACTOR - PRESSURE_MIN_FACTOR) * pressure);
+}
+
+export function segmentWidth(lineWidth, a, b) {
+  if (a.p === undefined && b.p === undefined) return lineWidth;
+  return pressureWidth(lineWidth, ((a.p ?? b.p) + (b.p ?? a.p)) / 2);
+}
+
+export function hasPressure(points) {
+  return points.some(point => point.p !== undefined);
+}
+
+export function maxStrokeWidth(stroke) {
+  return Math.max(...stroke.points.map(point => pressureWidth(stroke.lineWidth, point.p)));
+}
+
+function measureLines({ text, fontSize }, measureText) {
+  const lines = text.split('\n');
+  return {
+    width: Math.max(...lines.map(line => measureText(line, fontSize))),
+    height: lines.length * fontSize * TEXT_LINE_HEIGHT
+  };
+}
+
+export function getLocalBounds(operation, measureText) {
+  switch (operation.type) {
+    case 'shape': {
+      const pad = operation.shape === 'arrow' ? Math.max(10, operation.lineWidth * 3) : operation.lineWidth / 2;
+      return {
+        x: Math.min(operation.x1, operation.x2) - pad,
+        y: Math.min(operation.y1, operation.y2) - pad,
+        width: Math.abs(operation.x2 - operation.x1) + pad * 2,
+        height: Math.abs(operation.y2 - operation.y1) + pad * 2
+      };
+    }
+    case 'text': {
+      const { width, height } = measureLines(operation, measureText);
+      return { x: operation.x, y: operation.y, width, height };
+    }
+    case 'note': {
+      const { width, height } = measureLines(operation, measureText);
+      return {
+        x: operation.x,
+        y: operation.y,
+        width: Math.max(NOTE_MIN_SIZE, width + NOTE_PADDING * 2),
+        height: Math.max(NOTE_MIN_SIZE, height + NOTE_PADDING * 2)
+      };
+    }
+    default: {
+      const xs = operation.points.map(p => p.x);
+      const ys = operation.points.map(p => p.y);
+      const pad = maxStrokeWidth(operation) / 2;
+      return {
+        x: Math.min(...xs) - pad,
+        y: Math.min(...ys) - pad,
+        width: Math.max(...xs) - Math.min(...xs) + pad * 2,
+        height: Math.max(...ys) - Math.min(...ys) + pad * 2
+      };
+    }
+  }
+}
+
+export function getBounds(operation, measureText) {
+  const local = getLocalBounds(operation, measureText);
+  if (!operation.transform) return local;
+
+  const corners = [
+    { x: local.x, y: local.y },
+    { x: local.x + local.width, y: local.y },
+    { x: local.x, y: local.y + local.height },
+    { x: local.x + local.width, y: local.y + local.height }
+  ].map(point => applyToPoint(operation.transform, point));
+
+  return boundsOfPoints(corners);
+}
+
+export function boundsOfPoints(points) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  return {
+    x: Math.min(...xs),
+    y: Math.min(...ys),
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys)
+  };
+}
+
+export function unionBounds(boundsList) {
+  if (boundsList.length === 0) return null;
+
+  return boundsOfPoints(boundsList.flatMap(b => [
+    { x: b.x, y: b.y },
+    { x: b.x + b.width, y: b.y + b.height }
+  ]));
+}
+
+export function containsPoint(bounds, point) {
+  return point.x >= bounds.x && point.x <= bounds.x + bounds.width &&
+    point.y >= bounds.y && point.y <= bounds.y + bounds.height;
+}
+
+export function distanceToSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+export function hitTest(operation, point, measureText, tolerance = 4) {
+  const local = operation.transform ? applyToPoint(invert(operation.transform), point) : point;
+
+  if (operation.type === 'stroke' || (operation.type === 'shape' && (operation.shape === 'line' || operation.shape === 'arrow'))) {
+    const points = operation.type === 'stroke'
+      ? operation.points
+      : [{ x: operation.x1, y: operation.y1 }, { x: operation.x2, y: operation.y2 }];
+    const reach = (operation.type === 'stroke' ? maxStrokeWidth(operation) : operation.lineWidth) / 2 + tolerance;
+
+    if (points.length === 1) {
+      return Math.hypot(local.x - points[0].x, local.y - points[0].y) <= reach;
+    }
+    for (let i = 1; i < points.length; i++) {
+      if (distanceToSegment(local, points[i - 1], points[i]) <= reach) return true;
+    }
+    return false;
+  }
+
+  return containsPoint(getLocalBounds(operation, measureText), local);
+}
@@ -0,0 +1,17 @@
+export const DEFAULT_LAYER_ID = 'l1';
+
+export function createDefaultLayers() {
+  return [{ id: DEFAULT_LAYER_ID, name: 'Layer 1', visible: true, locked: false }];
+}
+
+export function resolveLayerId(operation, layers) {
+  return layers.some(layer => layer.id === operation.layerId) ? operation.layerId : layers[0].id;
+}
+
+export function groupByLayer(operations, layers) {
+  const groups = new Map(layers.map(layer => [layer.id, { layer, operations: [] }]));
+  operations.forEach(operation => {
+    groups.get(resolveLayerId(operation, layers)).operations.push(operation);
+  });
+  return Array.from(groups.values());
+}
@@ -0,0 +1,11 @@
+export const NOTE_PADDING = 12;
+export const NOTE_MIN_SIZE = 120;
+
+const DARK_TEXT = '#333333';
+const LIGHT_TEXT = '#ffffff';
+
+export function getNoteTextColor(color) {
+  const hex = color.length === 4 ? color.slice(1).split('').map(c => c + c).join('') : color.slice(1);
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+  return r * 0.299 + g * 0.587 + b * 0.114 > 140 ? DARK_TEXT : LIGHT_TEXT;
+}
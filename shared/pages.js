@@ -0,0 +1,20 @@
+export const DEFAULT_PAGE_ID = 'p1';
+
+export function createDefaultPages() {
+  return [{ id: DEFAULT_PAGE_ID, name: 'Page 1' }];
+}
+
+export function getLayerPageId(layer) {
+  return layer && layer.pageId ? layer.pageId : DEFAULT_PAGE_ID;
+}
+
+export function getPageId(document, id) {
+  const type = document.getType(id);
+  if (type === null) return null;
+  if (type === 'page') return id;
+  if (type === 'layer' || type === 'thread') return getLayerPageId(document.get(id));
+  if (type === 'comment') return getPageId(document, document.get(id).threadId);
+
+  const { layerId } = document.get(id);
+  return getLayerPageId(layerId ? document.get(layerId) : null);
+}
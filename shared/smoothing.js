@@ -0,0 +1,84 @@
+import { distanceToSegment } from './geometry.js';
+
+export const SIMPLIFY_TOLERANCE = 0.5;
+export const PRESSURE_TOLERANCE = 0.05;
+
+function midpoint(a, b) {
+  const point = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  if (a.p !== undefined || b.p !== undefined) {
+    point.p = ((a.p ?? b.p) + (b.p ?? a.p)) / 2;
+  }
+  return point;
+}
+
+function getPressureError(points, lengths, index, start, end) {
+  const point = points[index];
+  if (point.p === undefined || points[start].p === undefined || points[end].p === undefined) return 0;
+
+  const span = lengths[end] - lengths[start];
+  const t = span > 0 ? (lengths[index] - lengths[start]) / span : (index - start) / (end - start);
+  return Math.abs(point.p - (points[start].p + (points[end].p - points[start].p) * t));
+}
+
+export function simplifyPoints(points, tolerance = SIMPLIFY_TOLERANCE) {
+  if (points.length < 3) return points.slice();
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+  }
+
+  const ranges = [[0, points.length - 1]];
+  while (ranges.length > 0) {
+    const [start, end] = ranges.pop();
+    let farthest = -1;
+    let maxDistance = tolerance;
+
+    for (let i = start + 1; i < end; i++) {
+      const distance = Math.max(
+        distanceToSegment(points[i], points[start], points[end]),
+        getPressureError(points, lengths, i, start, end) * tolerance / PRESSURE_TOLERANCE
+      );
+      if (distance > maxDistance) {
+        farthest = i;
+        maxDistance = distance;
+      }
+    }
+
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      ranges.push([start, farthest], [farthest, end]);
+    }
+  }
+
+  return points.filter((point, i) => keep[i]);
+}
+
+export function getSmoothSegment(points, index) {
+  if (points.length < 3) {
+    return { from: points[index], to: points[index + 1] };
+  }
+
+  const last = points.length - 1;
+  if (index === last - 1) {
+    return { from: midpoint(points[last - 1], points[last]), to: points[last] };
+  }
+
+  return {
+    from: index === 0 ? points[0] : midpoint(points[index], points[index + 1]),
+    control: points[index + 1],
+    to: midpoint(points[index + 1], points[index + 2])
+  };
+}
+
+export function getSmoothSegments(points) {
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    segments.push(getSmoothSegment(points, i));
+  }
+  return segments;
+}
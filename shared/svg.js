@@ -0,0 +1,162 @@
+import { TEXT_LINE_HEIGHT, getBounds, getLocalBounds, hasPressure, segmentWidth, unionBounds } from './geometry.js';
+import { NOTE_PADDING, getNoteTextColor } from './notes.js';
+import { getSmoothSegments } from './smoothing.js';
+import { createDefaultLayers, groupByLayer } from './layers.js';
+
+export const EXPORT_PADDING = 20;
+export const INVALID_XML_CHARACTERS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f\ufffe\uffff]|[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/g;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(INVALID_XML_CHARACTERS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function pathData(points) {
+  return points.map((point, i) => `${i === 0 ? 'M' : 'L'}${point.x} ${point.y}`).join(' ');
+}
+
+function strokeAttributes(color, lineWidth) {
+  return `stroke="${escapeXml(color)}" stroke-width="${lineWidth}" stroke-linecap="round" stroke-linejoin="round"`;
+}
+
+function segmentData(segment) {
+  return segment.control
+    ? `Q${segment.control.x} ${segment.control.y} ${segment.to.x} ${segment.to.y}`
+    : `L${segment.to.x} ${segment.to.y}`;
+}
+
+function renderStroke(stroke) {
+  const segments = getSmoothSegments(stroke.points);
+
+  if (!hasPressure(stroke.points)) {
+    const d = `M${stroke.points[0].x} ${stroke.points[0].y} ${segments.map(segmentData).join(' ')}`;
+    return `<path d="${d.trim()}" fill="none" ${strokeAttributes(stroke.color, stroke.lineWidth)}/>`;
+  }
+
+  const paths = segments.map(segment =>
+    `<path d="M${segment.from.x} ${segment.from.y} ${segmentData(segment)}" stroke-width="${segmentWidth(stroke.lineWidth, segment.from, segment.to)}"/>`
+  );
+  return `<g fill="none" stroke="${escapeXml(stroke.color)}" stroke-linecap="round" stroke-linejoin="round">${paths.join('')}</g>`;
+}
+
+function renderShape(shape) {
+  const { x1, y1, x2, y2 } = shape;
+  const stroke = strokeAttributes(shape.color, shape.lineWidth);
+  const fill = shape.fill ? escapeXml(shape.color) : 'none';
+
+  switch (shape.shape) {
+    case 'line':
+      return `<path d="${pathData([{ x: x1, y: y1 }, { x: x2, y: y2 }])}" fill="none" ${stroke}/>`;
+    case 'rect':
+      return `<rect x="${Math.min(x1, x2)}" y="${Math.min(y1, y2)}" width="${Math.abs(x2 - x1)}" height="${Math.abs(y2 - y1)}" fill="${fill}" ${stroke}/>`;
+    case 'ellipse':
+      return `<ellipse cx="${(x1 + x2) / 2}" cy="${(y1 + y2) / 2}" rx="${Math.abs(x2 - x1) / 2}" ry="${Math.abs(y2 - y1) / 2}" fill="${fill}" ${stroke}/>`;
+    case 'arrow': {
+      const angle = Math.atan2(y2 - y1, x2 - x1);
+      const headLength = Math.max(10, shape.lineWidth * 3);
+      const head = [
+        { x: x2, y: y2 },
+        { x: x2 - headLength * Math.cos(angle - Math.PI / 6), y: y2 - headLength * Math.sin(angle - Math.PI / 6) },
+        { x: x2 - headLength * Math.cos(angle + Math.PI / 6), y: y2 - headLength * Math.sin(angle + Math.PI / 6) }
+      ];
+      return `<path d="${pathData([{ x: x1, y: y1 }, { x: x2, y: y2 }])}" fill="none" ${stroke}/>` +
+        `<path d="${pathData(head)} Z" fill="${escapeXml(shape.color)}" ${stroke}/>`;
+    }
+    default:
+      return '';
+  }
+}
+
+function renderText(text) {
+  const lineHeight = text.fontSize * TEXT_LINE_HEIGHT;
+  const lines = text.text.split('\n').map((line, index) =>
+    `<tspan x="${text.x}" y="${text.y + index * lineHeight}">${escapeXml(line)}</tspan>`
+  );
+
+  return `<text font-family="sans-serif" font-size="${text.fontSize}" fill="${escapeXml(text.color)}" ` +
+    `dominant-baseline="text-before-edge" xml:space="preserve">${lines.join('')}</text>`;
+}
+
+function renderNote(note, measureText) {
+  const { x, y, width, height } = getLocalBounds(note, measureText);
+  return `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${escapeXml(note.color)}"/>` +
+    renderText({ ...note, x: note.x + NOTE_PADDING, y: note.y + NOTE_PADDING, color: getNoteTextColor(note.color) });
+}
+
+export function estimateTextWidth(text, fontSize) {
+  return text.length * fontSize * 0.6;
+}
+
+export function getExportBounds(operations, { layers = createDefaultLayers(), measureText = estimateTextWidth, padding = EXPORT_PADDING } = {}) {
+  const visible = groupByLayer(operations, layers)
+    .filter(group => group.layer.visible)
+    .flatMap(group => group.operations);
+  const bounds = unionBounds(visible.map(op => getBounds(op, measureText)));
+  if (!bounds) return null;
+
+  return {
+    x: Math.floor(bounds.x - padding),
+    y: Math.floor(bounds.y - padding),
+    width: Math.ceil(bounds.width + padding * 2),
+    height: Math.ceil(bounds.height + padding * 2)
+  };
+}
+
+function withTransform(operation, markup) {
+  return operation.transform ? `<g transform="matrix(${operation.transform.join(' ')})">${markup}</g>` : markup;
+}
+
+export function renderOperationSVG(operation, measureText = estimateTextWidth) {
+  switch (operation.type) {
+    case 'shape':
+      return withTransform(operation, renderShape(operation));
+    case 'text':
+      return withTransform(operation, renderText(operation));
+    case 'note':
+      return withTransform(operation, renderNote(operation, measureText));
+    default:
+      return withTransform(operation, renderStroke(operation));
+  }
+}
+
+function renderLayer(layer, operations, bounds, masks, measureText) {
+  const { x, y, width, height } = bounds;
+  let content = '';
+
+  operations.forEach(operation => {
+    if (operation.tool !== 'eraser') {
+      content += renderOperationSVG(operation, measureText);
+      return;
+    }
+
+    const maskId = `erase-${masks.length + 1}`;
+    const eraser = { ...operation, color: '#000' };
+    masks.push(
+      `<mask id="${maskId}" maskUnits="userSpaceOnUse" x="${x}" y="${y}" width="${width}" height="${height}">` +
+      `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="#fff"/>${renderOperationSVG(eraser)}</mask>`
+    );
+    content = `<g mask="url(#${maskId})">${content}</g>`;
+  });
+
+  return `<g data-layer="${escapeXml(layer.name)}">${content}</g>`;
+}
+
+export function renderSVG(operations, { bounds, background = null, scale = 1, layers = createDefaultLayers(), measureText }) {
+  const { x, y, width, height } = bounds;
+  const masks = [];
+  const content = groupByLayer(operations, layers)
+    .filter(group => group.layer.visible && group.operations.length > 0)
+    .map(group => renderLayer(group.layer, group.operations, bounds, masks, measureText))
+    .join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width * scale}" height="${height * scale}" viewBox="${x} ${y} ${width} ${height}">` +
+    (masks.length > 0 ? `<defs>${masks.join('')}</defs>` : '') +
+    (background ? `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${escapeXml(background)}"/>` : '') +
+    content +
+    '</svg>';
+}
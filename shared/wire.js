@@ -0,0 +1,214 @@
+export const BINARY_PROTOCOL_VERSION = 2;
+
+const COORDINATE_SCALE = 10;
+const PRESSURE_SCALE = 255;
+const HAS_PRESSURE = 1;
+
+const FRAME_DRAW_MOVE = 1;
+const FRAME_CURSOR = 2;
+const FRAME_VIEWPORT = 3;
+
+class FrameWriter {
+  constructor(type) {
+    this.bytes = [type];
+  }
+
+  byte(value) {
+    this.bytes.push(value);
+  }
+
+  varint(value) {
+    while (value >= 0x80) {
+      this.bytes.push((value % 0x80) | 0x80);
+      value = Math.floor(value / 0x80);
+    }
+    this.bytes.push(value);
+  }
+
+  signed(value) {
+    this.varint(value < 0 ? -value * 2 - 1 : value * 2);
+  }
+
+  coordinate(value) {
+    this.signed(Math.round(value * COORDINATE_SCALE));
+  }
+
+  points(points) {
+    const hasPressure = points.some(point => point.p !== undefined);
+    this.byte(hasPressure ? HAS_PRESSURE : 0);
+    this.varint(points.length);
+
+    let x = 0;
+    let y = 0;
+    points.forEach(point => {
+      const px = Math.round(point.x * COORDINATE_SCALE);
+      const py = Math.round(point.y * COORDINATE_SCALE);
+      this.signed(px - x);
+      this.signed(py - y);
+      x = px;
+      y = py;
+
+      if (hasPressure) {
+        const p = point.p === undefined ? 0.5 : Math.min(Math.max(point.p, 0), 1);
+        this.byte(Math.round(p * PRESSURE_SCALE));
+      }
+    });
+  }
+
+  viewport({ x, y, width, height }) {
+    this.coordinate(x);
+    this.coordinate(y);
+    this.coordinate(width);
+    this.coordinate(height);
+  }
+
+  finish() {
+    return Uint8Array.from(this.bytes);
+  }
+}
+
+class FrameReader {
+  constructor(data) {
+    this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    this.offset = 0;
+  }
+
+  byte() {
+    if (this.offset >= this.bytes.length) throw new RangeError('Binary frame is truncated');
+    return this.bytes[this.offset++];
+  }
+
+  varint() {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+      if (scale > Number.MAX_SAFE_INTEGER) throw new RangeError('Binary frame has an oversized integer');
+      byte = this.byte();
+      value += (byte & 0x7f) * scale;
+      scale *= 0x80;
+    } while (byte & 0x80);
+    return value;
+  }
+
+  signed() {
+    const value = this.varint();
+    return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+  }
+
+  coordinate() {
+    return this.signed() / COORDINATE_SCALE;
+  }
+
+  points() {
+    const hasPressure = (this.byte() & HAS_PRESSURE) !== 0;
+    const count = this.varint();
+    if (count * 2 > this.bytes.length - this.offset) throw new RangeError('Binary frame is truncated');
+
+    const points = [];
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < count; i++) {
+      x += this.signed();
+      y += this.signed();
+      const point = { x: x / COORDINATE_SCALE, y: y / COORDINATE_SCALE };
+      if (hasPressure) {
+        point.p = this.byte() / PRESSURE_SCALE;
+      }
+      points.push(point);
+    }
+    return points;
+  }
+
+  viewport() {
+    return { x: this.coordinate(), y: this.coordinate(), width: this.coordinate(), height: this.coordinate() };
+  }
+
+  finish(message) {
+    if (this.offset !== this.bytes.length) throw new RangeError('Binary frame has trailing bytes');
+    return message;
+  }
+}
+
+export function encodeClientMessage(message) {
+  if (message.type === 'draw-move') {
+    const writer = new FrameWriter(FRAME_DRAW_MOVE);
+    writer.points(message.points);
+    return writer.finish();
+  }
+
+  if (message.type === 'cursor-move') {
+    const writer = new FrameWriter(FRAME_CURSOR);
+    writer.coordinate(message.x);
+    writer.coordinate(message.y);
+    return writer.finish();
+  }
+
+  if (message.type === 'viewport-move') {
+    const writer = new FrameWriter(FRAME_VIEWPORT);
+    writer.viewport(message);
+    return writer.finish();
+  }
+
+  return null;
+}
+
+export function decodeClientMessage(data) {
+  const reader = new FrameReader(data);
+
+  switch (reader.byte()) {
+    case FRAME_DRAW_MOVE:
+      return reader.finish({ type: 'draw-move', points: reader.points() });
+    case FRAME_CURSOR:
+      return reader.finish({ type: 'cursor-move', x: reader.coordinate(), y: reader.coordinate() });
+    case FRAME_VIEWPORT:
+      return reader.finish({ type: 'viewport-move', ...reader.viewport() });
+    default:
+      return null;
+  }
+}
+
+export function encodeServerMessage(message) {
+  if (message.type === 'draw' && message.operation.type === 'draw-move') {
+    const writer = new FrameWriter(FRAME_DRAW_MOVE);
+    writer.varint(message.operation.userId);
+    writer.points(message.operation.points);
+    return writer.finish();
+  }
+
+  if (message.type === 'cursor-update') {
+    const writer = new FrameWriter(FRAME_CURSOR);
+    writer.varint(message.userId);
+    writer.coordinate(message.x);
+    writer.coordinate(message.y);
+    return writer.finish();
+  }
+
+  if (message.type === 'viewport-update') {
+    const writer = new FrameWriter(FRAME_VIEWPORT);
+    writer.varint(message.userId);
+    writer.viewport(message);
+    return writer.finish();
+  }
+
+  return null;
+}
+
+export function decodeServerMessage(data) {
+  const reader = new FrameReader(data);
+
+  switch (reader.byte()) {
+    case FRAME_DRAW_MOVE: {
+      const userId = reader.varint();
+      return reader.finish({ type: 'draw', operation: { type: 'draw-move', userId, points: reader.points() } });
+    }
+    case FRAME_CURSOR:
+      return reader.finish({ type: 'cursor-update', userId: reader.varint(), x: reader.coordinate(), y: reader.coordinate() });
+    case FRAME_VIEWPORT: {
+      const userId = reader.varint();
+      return reader.finish({ type: 'viewport-update', userId, ...reader.viewport() });
+    }
+    default:
+      return null;
+  }
+}